@@ -6,17 +6,30 @@ const { google } = require("googleapis");
 const fs = require("fs");
 const axios = require("axios");
 const NodeCache = require("node-cache");
+const crypto = require("crypto");
 require("dotenv").config();
 
 // --- Express App Initialization ---
 const app = express();
 const port = process.env.PORT || 3000;
-app.use(bodyParser.json({ limit: "50mb" }));
-app.use(bodyParser.urlencoded({ extended: true, limit: "50mb" }));
+// Behind a reverse proxy set TRUST_PROXY (a hop count, or "loopback" etc.) so req.ip is the
+// client's address rather than the proxy's; login throttling is keyed on it.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+}
+// 4 documents, a selfie and a receipt at MAX_IMAGE_BYTES each come to 40mb once
+// base64-encoded; the rest leaves room for the data-URL prefixes and the other form fields.
+app.use(bodyParser.json({ limit: "45mb" }));
+app.use(bodyParser.urlencoded({ extended: true, limit: "1mb" }));
 app.use(express.static(path.join(__dirname, "public")));
 
 // --- In-Memory Cache Initialization ---
 const scriptCache = new NodeCache({ stdTTL: 3600 }); // Cache for 1 hour
+const sessionCache = new NodeCache({ stdTTL: 8 * 3600 }); // Admin sessions, 8 hours
 
 // --- Google API Authentication ---
 const auth = new google.auth.GoogleAuth({
@@ -30,22 +43,89 @@ const sheets = google.sheets({ version: "v4", auth });
 const drive = google.drive({ version: "v3", auth });
 
 // --- CONFIGURATION (from .env) ---
-const ADMIN_ROLES = {
-  "110011DR": "ជំនួយការពិសេសលោកគ្រូដារ៉ូ",
-  mmk110011: "គណៈគ្រប់គ្រង លោកគ្រូ ពៅ ដារ៉ូ",
-};
-const DEFAULT_ADMIN_NAME = "Admin";
-
 const EMPLOYEE_DATA_SHEET_ID = process.env.EMPLOYEE_DATA_SHEET_ID;
 const LEAVE_SPREADSHEET_ID = process.env.LEAVE_SPREADSHEET_ID;
 const SELFIE_DRIVE_FOLDER_ID = process.env.SELFIE_DRIVE_FOLDER_ID;
+const CHECKIN_DRIVE_FOLDER_ID =
+  process.env.CHECKIN_DRIVE_FOLDER_ID || SELFIE_DRIVE_FOLDER_ID;
 const DOCUMENT_DRIVE_FOLDER_ID = process.env.DOCUMENT_DRIVE_FOLDER_ID;
 const PAYMENT_RECEIPT_DRIVE_FOLDER_ID =
   process.env.PAYMENT_RECEIPT_DRIVE_FOLDER_ID;
+// Where uploaded photos are kept: "drive" (private files in the folders above) or "local"
+// (LOCAL_IMAGE_DIR, for development). Either way they are only reachable through /files.
+const IMAGE_STORAGE_BACKEND = (
+  process.env.IMAGE_STORAGE_BACKEND || "drive"
+).toLowerCase();
+const LOCAL_IMAGE_DIR =
+  process.env.LOCAL_IMAGE_DIR || path.join(__dirname, "data", "uploads");
+// Signs /files links, which stay in Telegram for TELEGRAM_FILE_LINK_TTL, so it must survive
+// restarts. Required in production; elsewhere a random key is used and links die on restart.
+if (!process.env.FILE_LINK_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("FILE_LINK_SECRET must be set in production.");
+  }
+  console.warn(
+    "FILE_LINK_SECRET is not set; file links will break on restart."
+  );
+}
+const FILE_LINK_SECRET =
+  process.env.FILE_LINK_SECRET || crypto.randomBytes(32).toString("hex");
+// Signs each admin's .ics feed URL together with their password hash, so changing the
+// password revokes the old URL. Set it, or subscriptions break on every restart.
+const CALENDAR_FEED_SECRET =
+  process.env.CALENDAR_FEED_SECRET || FILE_LINK_SECRET;
 
 const TELEGRAM_BOT_TOKENS = process.env.TELEGRAM_BOT_TOKENS.split(",");
 const TELEGRAM_CHAT_IDS = process.env.TELEGRAM_CHAT_IDS.split(",");
 const ACTION_BOT_TOKEN = process.env.ACTION_BOT_TOKEN;
+const getBotToken = (bot) =>
+  bot === "action" ? ACTION_BOT_TOKEN : TELEGRAM_BOT_TOKENS[parseInt(bot, 10)];
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const TELEGRAM_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL;
+// Prefix for links that leave the browser (photo links in Telegram messages).
+const PUBLIC_BASE_URL =
+  process.env.PUBLIC_BASE_URL ||
+  (TELEGRAM_WEBHOOK_URL ? new URL(TELEGRAM_WEBHOOK_URL).origin : "");
+// Where notifications go: a JSON array of { bot, chatId, leaveTypes?, groups? }. `bot` is
+// "action" or an index into TELEGRAM_BOT_TOKENS; a route with leaveTypes/groups only gets
+// messages about those leave types / employee groups. Defaults to the positional
+// TELEGRAM_BOT_TOKENS[i] → TELEGRAM_CHAT_IDS[i] pairs.
+const TELEGRAM_ROUTES = process.env.TELEGRAM_ROUTES
+  ? JSON.parse(process.env.TELEGRAM_ROUTES)
+  : TELEGRAM_BOT_TOKENS.map((token, index) => ({
+      bot: String(index),
+      chatId: TELEGRAM_CHAT_IDS[index],
+    })).filter((route) => getBotToken(route.bot) && route.chatId);
+// Username of the action bot (without "@"), used for employees' t.me deep links.
+const TELEGRAM_BOT_USERNAME = process.env.TELEGRAM_BOT_USERNAME;
+// Second-level chats that receive escalated approvals; their buttons are honoured too.
+const TELEGRAM_ESCALATION_CHAT_IDS = (
+  process.env.TELEGRAM_ESCALATION_CHAT_IDS || ""
+)
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+// Chats whose approve/reject buttons are honoured (defaults to the notification chats).
+const TELEGRAM_APPROVER_CHAT_IDS = (
+  process.env.TELEGRAM_APPROVER_CHAT_IDS || process.env.TELEGRAM_CHAT_IDS
+)
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean)
+  .concat(TELEGRAM_ESCALATION_CHAT_IDS);
+// Telegram users allowed to approve in addition to admins linked in the Admins sheet.
+const TELEGRAM_APPROVER_USER_IDS = (
+  process.env.TELEGRAM_APPROVER_USER_IDS || ""
+)
+  .split(",")
+  .map((id) => id.trim())
+  .filter(Boolean);
+
+// "sheets" (default) keeps everything in Google Sheets; "sqlite" uses a local database file.
+// Run `node code.js migrate-to-sqlite` once to copy the sheets into it.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || "sheets").toLowerCase();
+const SQLITE_DB_PATH =
+  process.env.SQLITE_DB_PATH || path.join(__dirname, "data", "leave.db");
 
 // --- SPREADSHEET NAMES & CONSTANTS ---
 const EMPLOYEE_SHEET_NAME = "បញ្ជឺឈ្មោះរួម";
@@ -57,6 +137,43 @@ const ALL_LEAVE_SHEETS = [
   LEAVE_SHEET_NAME,
   HOME_LEAVE_SHEET_NAME,
 ];
+const DELETED_REQUESTS_SHEET_NAME = "សំណើដែលបានលុប";
+const AUDIT_LOG_SHEET_NAME = "AuditLog";
+// Admin accounts: Username | Display Name | Password Hash | Telegram User ID
+const ADMIN_SHEET_NAME = "Admins";
+const TELEGRAM_LINKS_SHEET_NAME = "TelegramLinks"; // Employee ID | Telegram Chat ID | Linked At
+const HOLIDAYS_SHEET_NAME = "Holidays"; // Date | Name; these days don't count as leave taken
+const LEAVE_COLUMN_HEADERS = [
+  "Timestamp",
+  "Request ID",
+  "Employee ID",
+  "Employee Name",
+  "Leave Type",
+  "Start Date",
+  "End Date",
+  "Days",
+  "Reason",
+  "Status",
+  "Approver",
+  "Selfie Photo",
+  "Approval Timestamp",
+  "Document Photos",
+  "Location",
+  "Check-in Timestamp",
+  "Check-in Photo",
+  "Check-in Location",
+  "Notification Sent",
+  "Payment Receipt",
+  "Admin Note",
+  "Approval Step",
+  "Approval History",
+  "Change History",
+  "Location Check",
+  "Check-in Location Check",
+  "Payment Status",
+  "Payment Amount",
+  "Payment Review",
+];
 
 const TIMESTAMP_COL = 1,
   REQUEST_ID_COL = 2,
@@ -78,9 +195,204 @@ const TIMESTAMP_COL = 1,
   CHECKIN_LOCATION_LINK_COL = 18,
   NOTIFICATION_SENT_COL = 19,
   PAYMENT_RECEIPT_COL = 20,
-  ADMIN_CHECKIN_NOTE_COL = 21;
+  ADMIN_CHECKIN_NOTE_COL = 21,
+  APPROVAL_STEP_COL = 22, // Key of the workflow step still waiting (blank when single-step)
+  APPROVAL_HISTORY_COL = 23, // JSON array of { step, label, approver, approverId, at }
+  CHANGE_HISTORY_COL = 24, // JSON array of { at, action, by, changes } for employee edits
+  LOCATION_CHECK_COL = 25, // JSON { verdict, geofence, distance, accuracy } of the submission
+  CHECKIN_LOCATION_CHECK_COL = 26, // Same, for the check-in
+  PAYMENT_STATUS_COL = 27, // Unpaid | ReceiptUploaded | Verified | Disputed, blank if nothing is due
+  PAYMENT_AMOUNT_COL = 28, // Fee due when the request was submitted, in PAYMENT_CURRENCY
+  PAYMENT_REVIEW_COL = 29; // JSON { status, by, at, note } of the last verification/dispute
 const EMPLOYEE_DATA_START_ROW = 9;
 const CACHE_EMPLOYEE_KEY = "employee_data_map";
+const CACHE_ALL_REQUESTS_KEY = "all_leave_requests";
+const CACHE_SHEET_IDS_KEY = "leave_sheet_ids";
+const CACHE_ADMIN_ACCOUNTS_KEY = "admin_accounts";
+const CACHE_REQUEST_INDEX_KEY = "leave_request_index";
+const CACHE_OUTBOX_INDEX_KEY = "outbox_request_index";
+const CACHE_TELEGRAM_LINKS_KEY = "employee_telegram_links";
+const CACHE_HOLIDAYS_KEY = "public_holidays";
+const HOLIDAYS_CACHE_TTL = 3600;
+// Days of the week leave is counted on (0 = Sunday), as a comma-separated list. For the types
+// in WORKING_DAY_LEAVE_TYPES, other weekdays and public holidays inside a request are free;
+// ច្បាប់ចេញក្រៅ is for part of a day and counts on any day.
+const WORKING_WEEKDAYS = (process.env.WORKING_WEEKDAYS || "1,2,3,4,5,6")
+  .split(",")
+  .map((day) => parseInt(day, 10))
+  .filter((day) => day >= 0 && day <= 6);
+const WORKING_DAY_LEAVE_TYPES = [LEAVE_SHEET_NAME, HOME_LEAVE_SHEET_NAME];
+const CALENDAR_FEED_PAST_DAYS = 90;
+const CALENDAR_FEED_FUTURE_DAYS = 365;
+const TELEGRAM_LINK_CODE_TTL = 600; // Seconds a deep-link code from the form stays valid
+const REQUEST_INDEX_TTL = 3600; // Full rebuild hourly catches rows deleted by hand
+const REQUEST_INDEX_REFRESH_MS = 5000; // How often to look for rows added by hand
+const ADMIN_ACCOUNTS_CACHE_TTL = 300;
+const SESSION_COOKIE_NAME = "mmk_admin_session";
+const LOGIN_CODE_TTL = 300; // One-time codes sent over Telegram expire after 5 minutes
+const MAX_LOGIN_ATTEMPTS = 5;
+const MAX_LOGIN_CODE_ATTEMPTS = 3; // Wrong guesses, from any address, before a code is voided
+const MAX_LOGIN_CODES_ISSUED = 5; // New codes per username within LOGIN_LOCKOUT_TTL
+const LOGIN_CODE_RESEND_COOLDOWN = 60; // Seconds between code requests per username and per address
+const LOGIN_LOCKOUT_TTL = 900;
+const ALL_REQUESTS_CACHE_TTL = 4; // Seconds; the dashboard polls every 5s
+
+// Expected return hour for 'ច្បាប់ចេញក្រៅ', keyed by the day value chosen on the form.
+const PERMISSION_RETURN_HOURS = { មួយព្រឹក: 12, មួយរសៀល: 17, ពេលយប់: 21 };
+const DEFAULT_RETURN_HOUR = 17;
+
+// Preset reasons offered by the Telegram ❌ button (same wording as admin.html).
+const REJECTION_REASONS = {
+  [PERMISSION_SHEET_NAME]: [
+    "ប្អូននៅឆ្ងាយពីទីតាំងកំណត់ ប្អូនត្រូវមកសុំអនុញ្ញាតដោយផ្ទាល់នៅអគារ B(DI) ជាមុនសិន!",
+    "ប្អូនមិនបានបើក Allow Location ទេ ! សូមប្អូនបើក Allow Location របស់ប្អូនសិន",
+    "ប្អូនមិនទាន់បង់សេវារដ្ឋបាលទេ!",
+    "ប្អូនសុំច្បាប់ចេញក្រៅញឹកញាប់ណាស់",
+    "ប្អូនមិនបានថតរូបរបស់ប្អូនទេ!",
+  ],
+};
+const DEFAULT_REJECTION_REASONS = [
+  "ប្អូនមិនបានបើក Allow Location ទេ ! សូមប្អូនបើក Allow Location របស់ប្អូនសិន",
+  "ប្អូនមិនទាន់បង់សេវារដ្ឋបាលទេ!",
+  "ប្អូនមិនបានថតរូបរបស់ប្អូនទេ!",
+];
+const REJECTION_REPLY_TTL = 600; // Seconds an approver has to type a free-text reason
+
+// Leave entitlement per employee group and leave type. `unit` is "days" or "requests";
+// `monthly`/`annual` are optional limits; `policy` ("warn" or "block") overrides
+// LEAVE_QUOTA_POLICY. Groups come from the EMPLOYEE_GROUP_COLUMN of the employee sheet;
+// a type missing from a group falls back to the "default" group.
+const DEFAULT_LEAVE_QUOTAS = {
+  default: {
+    [PERMISSION_SHEET_NAME]: { monthly: 4, unit: "requests" },
+    [LEAVE_SHEET_NAME]: { monthly: 3, annual: 18, unit: "days" },
+    [HOME_LEAVE_SHEET_NAME]: { annual: 12, unit: "days" },
+  },
+};
+const LEAVE_QUOTAS = process.env.LEAVE_QUOTAS
+  ? JSON.parse(process.env.LEAVE_QUOTAS)
+  : DEFAULT_LEAVE_QUOTAS;
+const LEAVE_QUOTA_POLICY = process.env.LEAVE_QUOTA_POLICY || "warn";
+const EMPLOYEE_GROUP_COLUMN = (
+  process.env.EMPLOYEE_GROUP_COLUMN || ""
+).toUpperCase();
+const QUOTA_PERIOD_LABELS = { monthly: "ប្រចាំខែ", annual: "ប្រចាំឆ្នាំ" };
+const QUOTA_UNIT_LABELS = { days: "ថ្ងៃ", requests: "ដង" };
+
+// Approval chains per leave type. A request stays "Pending" until every step has approved;
+// APPROVAL_STEP_COL records which step it is waiting for. `approvers` lists admin usernames
+// and/or Telegram user IDs allowed to approve that step (omitted = any approver); `minDays`
+// limits the chain to longer requests. Types without a workflow keep single-tap approval.
+// The default chain takes its approvers from SUPERVISOR_APPROVERS and MANAGEMENT_APPROVERS;
+// when those are unset any approver may act on either step, and the only guarantee is that
+// the two steps are approved by different people.
+const parseApproverList = (value) =>
+  (value || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+const DEFAULT_APPROVAL_STEPS = [
+  {
+    key: "supervisor",
+    label: "ប្រធានផ្នែក",
+    approvers: parseApproverList(process.env.SUPERVISOR_APPROVERS),
+  },
+  {
+    key: "management",
+    label: "គណៈគ្រប់គ្រង",
+    approvers: parseApproverList(process.env.MANAGEMENT_APPROVERS),
+  },
+];
+const DEFAULT_APPROVAL_WORKFLOWS = {
+  [HOME_LEAVE_SHEET_NAME]: { steps: DEFAULT_APPROVAL_STEPS },
+  [LEAVE_SHEET_NAME]: { minDays: 2, steps: DEFAULT_APPROVAL_STEPS },
+};
+const APPROVAL_WORKFLOWS = process.env.APPROVAL_WORKFLOWS
+  ? JSON.parse(process.env.APPROVAL_WORKFLOWS)
+  : DEFAULT_APPROVAL_WORKFLOWS;
+
+// Campus/office geofences as JSON: [{ "name", "latitude", "longitude", "radius" }], radius in
+// metres. Each submission and check-in location gets a verdict against them (see
+// checkGeofence). With REQUIRE_GEOFENCE_CHECKIN=true, returns from ច្បាប់ចេញក្រៅ can only be
+// confirmed from inside one.
+const GEOFENCES = process.env.GEOFENCES
+  ? JSON.parse(process.env.GEOFENCES)
+  : [];
+const MAX_LOCATION_ACCURACY =
+  parseInt(process.env.MAX_LOCATION_ACCURACY, 10) || 200; // Metres; vaguer fixes are "unknown"
+const REQUIRE_GEOFENCE_CHECKIN =
+  process.env.REQUIRE_GEOFENCE_CHECKIN === "true";
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "KHR";
+// Administrative fee per leave type, as tiers checked in order: the first whose `maxDays`
+// covers the request applies, and a tier without `maxDays` covers the rest. Types left out
+// are free. e.g. {"ច្បាប់ឈប់សម្រាក":[{"maxDays":2,"amount":5000},{"amount":10000}]}
+const LEAVE_FEES = process.env.LEAVE_FEES
+  ? JSON.parse(process.env.LEAVE_FEES)
+  : {};
+const PAYMENT_STATUS_LABELS = {
+  Unpaid: "មិនទាន់បង់ប្រាក់",
+  ReceiptUploaded: "បានផ្ញើវិក័យបត្រ (រង់ចាំផ្ទៀងផ្ទាត់)",
+  Verified: "បានផ្ទៀងផ្ទាត់",
+  Disputed: "មានបញ្ហា",
+};
+
+const GEOFENCE_VERDICT_LABELS = {
+  inside: "✅ នៅក្នុងបរិវេណ",
+  outside: "❌ នៅក្រៅបរិវេណ",
+  unknown: "❔ មិនអាចផ្ទៀងផ្ទាត់ទីតាំង",
+};
+
+// Background reminders. Each notice sent for a request is recorded in NOTIFICATION_SENT_COL
+// as a comma-separated key ("reminder", "escalation", "overdue") so it goes out only once.
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== "false";
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const REMINDER_DELAY_MINUTES =
+  parseInt(process.env.REMINDER_DELAY_MINUTES, 10) || 30;
+const ESCALATION_DELAY_MINUTES =
+  parseInt(process.env.ESCALATION_DELAY_MINUTES, 10) || 120;
+const OVERDUE_NOTICE_MAX_AGE_DAYS = 7; // Don't flood the chat with old history on first run
+const PENDING_NOTICE_MAX_AGE_DAYS = 7; // Same for reminders/escalations of stale Pending rows
+
+// Telegram outbox retries: 5s, 10s, 20s … capped at 10 minutes, dead after 8 attempts.
+const OUTBOX_SHEET_NAME = "Outbox";
+const OUTBOX_FIELDS = [
+  "id",
+  "createdAt",
+  "bot",
+  "chatId",
+  "text",
+  "keyboard",
+  "status",
+  "attempts",
+  "nextAttemptAt",
+  "lastError",
+  "sentAt",
+  "requestId", // Set on messages about a request so they can be edited later
+  "messageId", // Telegram's message_id once sent
+];
+const OUTBOX_INTERVAL_MS = 5000;
+const OUTBOX_BASE_DELAY_MS = 5000;
+const OUTBOX_MAX_DELAY_MS = 10 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_PER_CHAT_INTERVAL_MS = 1000; // Telegram allows about one message per second per chat
+
+// Request validation limits for /submitLeaveRequest and /updateLeaveRequest.
+const MAX_REASON_LENGTH = 500;
+const MAX_LEAVE_DAYS = 60;
+const MAX_DOCUMENT_IMAGES = 4;
+const MAX_BACKDATE_DAYS = 31; // Sick leave is often filed after the fact
+const MAX_ADVANCE_DAYS = 366;
+const REQUEST_ID_PATTERN = /^REQ-\d+$/;
+
+// Uploaded photos are checked against these, then re-encoded as JPEG no larger than
+// IMAGE_MAX_DIMENSION on the longest side.
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000; // Rejects decompression bombs
+const IMAGE_MAX_DIMENSION = 1600;
+const IMAGE_JPEG_QUALITY = 80;
+const FILE_LINK_TTL = 15 * 60; // Seconds; links handed to the dashboard and the form
+const TELEGRAM_FILE_LINK_TTL = 7 * 24 * 3600; // Approvers may open a request days later
 
 // --- HELPER FUNCTIONS ---
 const dayValueMap = { មួយព្រឹក: 0.5, មួយរសៀល: 0.5, ពេលយប់: 0.5 };
@@ -89,140 +401,741 @@ const getNumericDayValue = (dayValue) => {
   const numericValue = parseFloat(dayValue);
   return isNaN(numericValue) ? 0 : numericValue;
 };
+// Each day is split into morning/afternoon/evening slots for overlap checks.
+const HALF_DAY_SLOTS = { មួយព្រឹក: 0, មួយរសៀល: 1, ពេលយប់: 2 };
+const SLOTS_PER_DAY = 3;
+// For user-supplied text inside Telegram HTML messages, including href="..." attributes.
+const escapeHtml = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+// USER_ENTERED writes turn text starting with = + - @ into a formula; a leading apostrophe
+// keeps it text (Sheets hides the apostrophe and reads back the original value).
+const toSheetText = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
 const isBase64Image = (str) =>
   typeof str === "string" && str.startsWith("data:image");
+const buildLocationLink = (latitude, longitude) =>
+  latitude && longitude
+    ? `http://maps.google.com/maps?q=${latitude},${longitude}`
+    : "";
 
-async function saveImageToDrive(base64Data, fileName, folderId) {
-  try {
-    const mimeType = base64Data.match(/data:(.*);base64,/)[1];
-    const fileExtension = mimeType.split("/")[1] || "jpg";
-    const buffer = Buffer.from(base64Data.split(",")[1], "base64");
+// Parses "YYYY-MM-DD" as a local date (new Date() would treat it as UTC).
+const parseDateOnly = (value) => {
+  if (!value) return null;
+  const isoMatch = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = isoMatch
+    ? new Date(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3])
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+// Shows up in the browser's network panel, so lookup latency can be compared per backend.
+const setServerTiming = (res, startedAt) =>
+  res.set("Server-Timing", `storage;dur=${Date.now() - startedAt}`);
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(date.getDate()).padStart(2, "0")}`;
 
-    const fileMetadata = {
-      name: `${fileName}.${fileExtension}`,
-      parents: [folderId],
-    };
-    const media = {
-      mimeType: mimeType,
-      body: require("stream").Readable.from(buffer),
+// --- IMAGE STORAGE ---
+// Photos are stored privately and referenced in the sheet as "drive:<file id>" or
+// "local:<file name>"; clients only ever get signed, expiring /files links to them.
+
+const IMAGE_SIGNATURES = {
+  "image/jpeg": (buffer) =>
+    buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  "image/png": (buffer) =>
+    buffer.slice(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  "image/webp": (buffer) =>
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP",
+};
+
+// Returns { buffer, mimeType }, or { error } with a Khmer message for the user.
+function decodeImageData(dataUrl) {
+  const match = /^data:([\w/+.-]+);base64,/.exec(
+    typeof dataUrl === "string" ? dataUrl : ""
+  );
+  if (!match || !ALLOWED_IMAGE_TYPES.includes(match[1])) {
+    return { error: "អនុញ្ញាតតែរូបភាព JPEG, PNG ឬ WebP ប៉ុណ្ណោះ។" };
+  }
+  const base64 = dataUrl.slice(match[0].length);
+  if (Math.floor((base64.length * 3) / 4) > MAX_IMAGE_BYTES + 2) {
+    return {
+      error: `រូបភាពធំពេក (អតិបរមា ${MAX_IMAGE_BYTES / 1024 / 1024}MB)។`,
     };
+  }
+  const buffer = Buffer.from(base64, "base64");
+  if (!IMAGE_SIGNATURES[match[1]](buffer)) {
+    return { error: "ឯកសាររូបភាពខូច ឬមិនត្រឹមត្រូវ។" };
+  }
+  return { buffer, mimeType: match[1] };
+}
 
-    const file = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: "id, webViewLink",
-    });
+// EXIF dates look like "2024:05:01 08:30:00" (local time, no zone). The earliest one is the
+// capture time (DateTimeOriginal) rather than a later edit (DateTime).
+function readExifCaptureTime(exif) {
+  if (!exif) return "";
+  const stamps = (
+    exif.toString("latin1").match(/\d{4}:\d{2}:\d{2} \d{2}:\d{2}:\d{2}/g) || []
+  )
+    .filter((stamp) => !stamp.startsWith("0000"))
+    .sort();
+  return stamps.length > 0
+    ? stamps[0].replace(/^(\d{4}):(\d{2}):(\d{2}) /, "$1-$2-$3T")
+    : "";
+}
 
-    // Make file publicly viewable
-    await drive.permissions.create({
-      fileId: file.data.id,
-      requestBody: { role: "reader", type: "anyone" },
-    });
+// Applies the EXIF orientation, shrinks and re-encodes to JPEG. sharp writes no metadata
+// unless asked, so GPS and device tags are dropped; only the capture time is kept.
+async function processImage(buffer) {
+  const sharp = require("sharp"); // Only required once a photo is uploaded
+  const image = sharp(buffer, { limitInputPixels: MAX_IMAGE_PIXELS });
+  const metadata = await image.metadata();
+  const output = await image
+    .rotate()
+    .resize({
+      width: IMAGE_MAX_DIMENSION,
+      height: IMAGE_MAX_DIMENSION,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: IMAGE_JPEG_QUALITY, mozjpeg: true })
+    .toBuffer();
+  return { buffer: output, capturedAt: readExifCaptureTime(metadata.exif) };
+}
 
-    return file.data.webViewLink.replace(
-      "view?usp=drivesdk",
-      "view?usp=sharing"
-    );
+function createDriveImageStore() {
+  return {
+    kind: "drive",
+
+    async save(buffer, fileName, folderId, capturedAt) {
+      const file = await drive.files.create({
+        resource: {
+          name: `${fileName}.jpg`,
+          parents: [folderId],
+          appProperties: capturedAt ? { capturedAt } : {},
+        },
+        media: {
+          mimeType: "image/jpeg",
+          body: require("stream").Readable.from(buffer),
+        },
+        fields: "id",
+      });
+      return file.data.id; // No sharing permission: only the service account can read it
+    },
+
+    async open(key) {
+      const res = await drive.files.get(
+        { fileId: key, alt: "media" },
+        { responseType: "stream" }
+      );
+      return {
+        stream: res.data,
+        mimeType: res.headers["content-type"] || "image/jpeg",
+      };
+    },
+  };
+}
+
+// Development backend: files in a local directory, capture time in a .json sidecar.
+function createLocalImageStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    kind: "local",
+
+    async save(buffer, fileName, folderId, capturedAt) {
+      const name = `${fileName.replace(/[^\w.-]/g, "_")}_${crypto
+        .randomBytes(4)
+        .toString("hex")}.jpg`;
+      await fs.promises.writeFile(path.join(dir, name), buffer);
+      if (capturedAt) {
+        await fs.promises.writeFile(
+          path.join(dir, `${name}.json`),
+          JSON.stringify({ capturedAt })
+        );
+      }
+      return name;
+    },
+
+    async open(key) {
+      if (path.basename(key) !== key || !key.endsWith(".jpg")) {
+        throw new Error(`Invalid image key: ${key}`);
+      }
+      const filePath = path.join(dir, key);
+      await fs.promises.access(filePath);
+      return { stream: fs.createReadStream(filePath), mimeType: "image/jpeg" };
+    },
+  };
+}
+
+const imageStore =
+  IMAGE_STORAGE_BACKEND === "local"
+    ? createLocalImageStore(LOCAL_IMAGE_DIR)
+    : createDriveImageStore();
+
+// Returns the reference to store in the sheet, or null if the image could not be saved.
+async function saveUploadedImage(dataUrl, fileName, folderId) {
+  try {
+    const decoded = decodeImageData(dataUrl);
+    if (decoded.error) throw new Error(decoded.error);
+    const { buffer, capturedAt } = await processImage(decoded.buffer);
+    const key = await imageStore.save(buffer, fileName, folderId, capturedAt);
+    return `${imageStore.kind}:${key}`;
   } catch (e) {
-    console.error(`saveImageToDrive Error: ${e.stack}`);
+    console.error(`saveUploadedImage Error: ${e.stack}`);
     return null;
   }
 }
 
-async function findRequestRow(spreadsheetId, requestId) {
-  for (const sheetName of ALL_LEAVE_SHEETS) {
-    try {
-      const res = await sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range: `${sheetName}!B2:B`, // Only need to check the request ID column
-      });
-      const requestIds = res.data.values;
-      if (requestIds && requestIds.length > 0) {
-        const rowIndex = requestIds.findIndex((row) => row[0] === requestId);
-        if (rowIndex !== -1) {
-          return { sheet: sheetName, row: rowIndex + 2 };
-        }
-      }
-    } catch (e) {
-      if (e.code !== 400) {
-        // Ignore "Sheet not found" errors
-        console.error(
-          `Error finding request in sheet ${sheetName}: ${e.message}`
-        );
-      }
-    }
+async function openStoredImage(ref) {
+  const separator = ref.indexOf(":");
+  if (separator === -1 || ref.slice(0, separator) !== imageStore.kind) {
+    throw new Error(`Image ${ref} is not in ${imageStore.kind} storage`);
   }
-  return null;
+  return imageStore.open(ref.slice(separator + 1));
 }
 
-// --- TELEGRAM FUNCTIONS ---
-async function sendTelegramNotification(message, keyboard = null) {
-  if (!TELEGRAM_BOT_TOKENS || TELEGRAM_BOT_TOKENS.length === 0) {
-    console.log("Telegram Bot Tokens are not set. Skipping notification.");
-    return;
+const signFileRef = (ref, expires) =>
+  crypto
+    .createHmac("sha256", FILE_LINK_SECRET)
+    .update(`${ref}:${expires}`)
+    .digest("hex");
+
+// A link to a stored photo valid for `ttl` seconds; `absolute` prefixes PUBLIC_BASE_URL for
+// links that leave the browser. Rows from before private storage hold public Drive URLs,
+// which are returned unchanged.
+function toFileLink(ref, { ttl = FILE_LINK_TTL, absolute = false } = {}) {
+  if (!ref || /^https?:\/\//.test(ref)) return ref || "";
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return `${absolute ? PUBLIC_BASE_URL : ""}/files/${encodeURIComponent(
+    ref
+  )}?expires=${expires}&sig=${signFileRef(ref, expires)}`;
+}
+
+// DOC_PHOTO_COL holds a JSON array of references; older rows hold a single link.
+function parseDocumentRefs(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return (Array.isArray(parsed) ? parsed : [parsed]).filter(Boolean);
+  } catch (e) {
+    return [value];
   }
+}
 
-  for (const [index, token] of TELEGRAM_BOT_TOKENS.entries()) {
-    const chatId = TELEGRAM_CHAT_IDS[index];
-    if (token && chatId) {
-      const url = `https://api.telegram.org/bot${token}/sendMessage`;
-      const payloadOptions = {
-        text: message,
-        parse_mode: "HTML",
-        chat_id: chatId,
-      };
+// Photo fields of a request with references swapped for signed links.
+const withFileLinks = (request) => ({
+  ...request,
+  selfiePhotoUrl: toFileLink(request.selfiePhotoUrl),
+  documentPhotoUrl: request.documentPhotoUrl
+    ? JSON.stringify(
+        parseDocumentRefs(request.documentPhotoUrl).map((ref) =>
+          toFileLink(ref)
+        )
+      )
+    : "",
+  paymentReceiptUrl: toFileLink(request.paymentReceiptUrl),
+  checkInPhotoUrl: toFileLink(request.checkInPhotoUrl),
+});
 
-      if (token === ACTION_BOT_TOKEN && keyboard) {
-        payloadOptions.reply_markup = keyboard;
-      }
+// --- GEOFENCING ---
 
-      try {
-        const response = await axios.post(url, payloadOptions, {
-          headers: { "Content-Type": "application/json" },
-        });
-        console.log(`Successfully sent message to Chat ID ${chatId}`);
-      } catch (e) {
-        console.error(
-          `CRITICAL error sending to Chat ID ${chatId}: ${
-            e.response ? e.response.data.description : e.message
-          }`
+// Coordinates and accuracy (metres) as reported by navigator.geolocation. All are optional;
+// returns null if any value sent is not a plausible number.
+function readLocation(body) {
+  const isMissing = (value) => value === undefined || value === null;
+  const isNumber = (value, min, max) =>
+    isMissing(value) ||
+    (typeof value === "number" &&
+      isFinite(value) &&
+      value >= min &&
+      value <= max);
+  if (
+    !isNumber(body.latitude, -90, 90) ||
+    !isNumber(body.longitude, -180, 180) ||
+    !isNumber(body.accuracy, 0, 1e6)
+  ) {
+    return null;
+  }
+  const hasCoordinates =
+    !isMissing(body.latitude) && !isMissing(body.longitude);
+  return {
+    latitude: hasCoordinates ? body.latitude : null,
+    longitude: hasCoordinates ? body.longitude : null,
+    accuracy:
+      hasCoordinates && !isMissing(body.accuracy) ? body.accuracy : null,
+  };
+}
+
+// Great-circle distance in metres.
+function distanceInMetres(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+// Verdict against the configured geofences. The reading counts as inside a fence when its
+// accuracy circle reaches it, so a 30 m fix just past the edge is not flagged; any fence
+// will do. Otherwise the fence whose edge is nearest is reported. No location, no
+// configured geofences or an accuracy worse than MAX_LOCATION_ACCURACY give "unknown".
+// With `strict` (used when the verdict is enforced) the whole accuracy circle must lie inside
+// a fence, and a circle that crosses an edge without being wholly outside is "unknown".
+function checkGeofence(location, { strict = false } = {}) {
+  if (!location || location.latitude === null || location.longitude === null) {
+    return { verdict: "unknown", geofence: "", distance: null, accuracy: null };
+  }
+  const accuracy =
+    location.accuracy === null ? null : Math.round(location.accuracy);
+  const fences = GEOFENCES.map((fence) => ({
+    fence,
+    distance: distanceInMetres(
+      location.latitude,
+      location.longitude,
+      fence.latitude,
+      fence.longitude
+    ),
+  })).sort(
+    (a, b) => a.distance - a.fence.radius - (b.distance - b.fence.radius)
+  );
+  if (fences.length === 0) {
+    return { verdict: "unknown", geofence: "", distance: null, accuracy };
+  }
+  const describe = (match) => ({
+    geofence: match.fence.name,
+    distance: Math.round(match.distance),
+    accuracy,
+  });
+  if (accuracy === null || accuracy > MAX_LOCATION_ACCURACY) {
+    return { verdict: "unknown", ...describe(fences[0]) };
+  }
+  const containing = fences.find((match) =>
+    strict
+      ? match.distance + accuracy <= match.fence.radius
+      : match.distance - accuracy <= match.fence.radius
+  );
+  if (containing) return { verdict: "inside", ...describe(containing) };
+  if (strict && fences[0].distance - accuracy <= fences[0].fence.radius) {
+    return { verdict: "unknown", ...describe(fences[0]) };
+  }
+  return { verdict: "outside", ...describe(fences[0]) };
+}
+
+function parseLocationCheck(value) {
+  try {
+    const check = JSON.parse(value || "null");
+    return check && check.verdict ? check : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// e.g. "❌ នៅក្រៅបរិវេណ (Campus: 850m, ±20m)"
+function formatLocationCheck(check) {
+  if (!check) return "";
+  const label = GEOFENCE_VERDICT_LABELS[check.verdict] || check.verdict;
+  if (!check.geofence) return label;
+  const accuracy = check.accuracy !== null ? `, ±${check.accuracy}m` : "";
+  return `${label} (${escapeHtml(check.geofence)}: ${
+    check.distance
+  }m${accuracy})`;
+}
+
+// --- STORAGE LAYER ---
+// All request/employee/admin/audit persistence goes through `leaveStore`, which is either the
+// Google Sheets backend or the SQLite backend (STORAGE_BACKEND=sqlite). Requests are plain
+// objects keyed by the field names in REQUEST_COLUMNS; the number is the sheet column.
+const REQUEST_COLUMNS = {
+  timestamp: TIMESTAMP_COL,
+  requestId: REQUEST_ID_COL,
+  employeeId: EMPLOYEE_ID_COL,
+  employeeName: EMPLOYEE_NAME_COL,
+  leaveType: LEAVE_TYPE_COL,
+  startDate: START_DATE_COL,
+  endDate: END_DATE_COL,
+  numberOfDays: DAYS_COL,
+  reason: REASON_COL,
+  status: STATUS_COL,
+  approver: APPROVER_COL,
+  selfiePhotoUrl: SELFIE_PHOTO_COL,
+  approvalTimestamp: APPROVAL_TIMESTAMP_COL,
+  documentPhotoUrl: DOC_PHOTO_COL,
+  locationLink: LOCATION_LINK_COL,
+  checkInTimestamp: CHECKIN_TIMESTAMP_COL,
+  checkInPhotoUrl: CHECKIN_PHOTO_COL,
+  checkInLocationLink: CHECKIN_LOCATION_LINK_COL,
+  notificationSent: NOTIFICATION_SENT_COL,
+  paymentReceiptUrl: PAYMENT_RECEIPT_COL,
+  adminNote: ADMIN_CHECKIN_NOTE_COL,
+  approvalStep: APPROVAL_STEP_COL,
+  approvalHistory: APPROVAL_HISTORY_COL,
+  changeHistory: CHANGE_HISTORY_COL,
+  locationCheck: LOCATION_CHECK_COL,
+  checkInLocationCheck: CHECKIN_LOCATION_CHECK_COL,
+  paymentStatus: PAYMENT_STATUS_COL,
+  paymentAmount: PAYMENT_AMOUNT_COL,
+  paymentReview: PAYMENT_REVIEW_COL,
+};
+const REQUEST_FIELDS = Object.keys(REQUEST_COLUMNS).sort(
+  (a, b) => REQUEST_COLUMNS[a] - REQUEST_COLUMNS[b]
+);
+
+const columnLetter = (col) => {
+  let letter = "";
+  while (col > 0) {
+    const remainder = (col - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    col = Math.floor((col - 1) / 26);
+  }
+  return letter;
+};
+const columnNumber = (letter) =>
+  letter.split("").reduce((col, char) => col * 26 + char.charCodeAt(0) - 64, 0);
+const LAST_REQUEST_COLUMN = columnLetter(REQUEST_FIELDS.length);
+
+function rowToRequest(row, sheetName, rowNumber) {
+  const request = { sheet: sheetName, row: rowNumber };
+  REQUEST_FIELDS.forEach((field) => {
+    const value = row[REQUEST_COLUMNS[field] - 1];
+    request[field] = value !== undefined && value !== null ? value : "";
+  });
+  request.employeeId = request.employeeId.toString().trim();
+  request.leaveType = request.leaveType || sheetName;
+  return request;
+}
+
+const requestToRow = (request) =>
+  REQUEST_FIELDS.map((field) =>
+    request[field] !== undefined && request[field] !== null
+      ? request[field]
+      : ""
+  );
+
+async function getSheetIds() {
+  let sheetIds = scriptCache.get(CACHE_SHEET_IDS_KEY);
+  if (!sheetIds) {
+    const res = await sheets.spreadsheets.get({
+      spreadsheetId: LEAVE_SPREADSHEET_ID,
+      fields: "sheets.properties(sheetId,title)",
+    });
+    sheetIds = {};
+    res.data.sheets.forEach((sheet) => {
+      sheetIds[sheet.properties.title] = sheet.properties.sheetId;
+    });
+    scriptCache.set(CACHE_SHEET_IDS_KEY, sheetIds);
+  }
+  return sheetIds;
+}
+
+// Creates the sheet with a header row the first time it is needed.
+async function ensureSheetExists(sheetName, headers) {
+  const sheetIds = await getSheetIds();
+  if (sheetIds[sheetName] !== undefined) return;
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: LEAVE_SPREADSHEET_ID,
+    requestBody: {
+      requests: [{ addSheet: { properties: { title: sheetName } } }],
+    },
+  });
+  scriptCache.del(CACHE_SHEET_IDS_KEY);
+  await sheets.spreadsheets.values.append({
+    spreadsheetId: LEAVE_SPREADSHEET_ID,
+    range: `${sheetName}!A1`,
+    valueInputOption: "RAW",
+    requestBody: { values: [headers] },
+  });
+}
+
+async function deleteSheetRow(sheetName, row) {
+  const sheetIds = await getSheetIds();
+  await sheets.spreadsheets.batchUpdate({
+    spreadsheetId: LEAVE_SPREADSHEET_ID,
+    requestBody: {
+      requests: [
+        {
+          deleteDimension: {
+            range: {
+              sheetId: sheetIds[sheetName],
+              dimension: "ROWS",
+              startIndex: row - 1,
+              endIndex: row,
+            },
+          },
+        },
+      ],
+    },
+  });
+}
+
+// requestId → {sheet,row} and employeeId → [requestId], so lookups read single rows instead of
+// whole sheets. Our own writes keep it current; rows added to the sheets by hand are picked up
+// by reading columns B:C past the last indexed row of each sheet.
+function emptyRequestIndex() {
+  return { byId: {}, byEmployee: {}, nextRow: {}, refreshedAt: 0 };
+}
+
+function indexRequestRow(index, sheetName, row, requestId, employeeId) {
+  const id = (employeeId || "").toString().trim();
+  index.byId[requestId] = { sheet: sheetName, row, employeeId: id };
+  if (!index.byEmployee[id]) index.byEmployee[id] = [];
+  if (!index.byEmployee[id].includes(requestId)) {
+    index.byEmployee[id].push(requestId);
+  }
+}
+
+function saveRequestIndex(index) {
+  scriptCache.set(CACHE_REQUEST_INDEX_KEY, index, REQUEST_INDEX_TTL);
+}
+
+async function loadRequestIndex(forceRefresh = false) {
+  const index = scriptCache.get(CACHE_REQUEST_INDEX_KEY) || emptyRequestIndex();
+  if (
+    !forceRefresh &&
+    Date.now() - index.refreshedAt < REQUEST_INDEX_REFRESH_MS
+  ) {
+    return index;
+  }
+
+  const sheetIds = await getSheetIds();
+  const sheetNames = ALL_LEAVE_SHEETS.filter(
+    (sheetName) => sheetIds[sheetName] !== undefined
+  );
+  const startRows = sheetNames.map(
+    (sheetName) => index.nextRow[sheetName] || 2
+  );
+  const res = await sheets.spreadsheets.values.batchGet({
+    spreadsheetId: LEAVE_SPREADSHEET_ID,
+    ranges: sheetNames.map(
+      (sheetName, i) => `${sheetName}!B${startRows[i]}:C` // Request ID, Employee ID
+    ),
+  });
+  res.data.valueRanges.forEach((valueRange, i) => {
+    const rows = valueRange.values || [];
+    rows.forEach((row, offset) => {
+      if (row[0]) {
+        indexRequestRow(
+          index,
+          sheetNames[i],
+          startRows[i] + offset,
+          row[0],
+          row[1]
         );
       }
-    }
+    });
+    index.nextRow[sheetNames[i]] = startRows[i] + rows.length;
+  });
+  index.refreshedAt = Date.now();
+  saveRequestIndex(index);
+  return index;
+}
+
+// Called after our own append; `updatedRange` looks like "Sheet!A12:U12".
+function indexAppendedRequest(request, sheetName, updatedRange) {
+  const match = /![A-Z]+(\d+)/.exec(updatedRange || "");
+  const index = scriptCache.get(CACHE_REQUEST_INDEX_KEY);
+  if (!match || !index) return;
+  const row = parseInt(match[1], 10);
+  indexRequestRow(index, sheetName, row, request.requestId, request.employeeId);
+  // Leave nextRow alone if rows were added by hand in between; the next refresh reads them.
+  if (index.nextRow[sheetName] === row) index.nextRow[sheetName] = row + 1;
+  saveRequestIndex(index);
+}
+
+// Rows below a deleted row move up by one.
+function unindexDeletedRequest(request) {
+  const index = scriptCache.get(CACHE_REQUEST_INDEX_KEY);
+  if (!index) return;
+  const entry = index.byId[request.requestId];
+  if (entry) {
+    delete index.byId[request.requestId];
+    index.byEmployee[entry.employeeId] = (
+      index.byEmployee[entry.employeeId] || []
+    ).filter((requestId) => requestId !== request.requestId);
   }
+  Object.values(index.byId).forEach((location) => {
+    if (location.sheet === request.sheet && location.row > request.row) {
+      location.row--;
+    }
+  });
+  if (index.nextRow[request.sheet] > request.row)
+    index.nextRow[request.sheet]--;
+  saveRequestIndex(index);
 }
 
-async function editTelegramMessage(chatId, messageId, text) {
-  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/editMessageText`;
-  const payload = {
-    chat_id: String(chatId),
-    message_id: messageId,
-    text: text,
-    parse_mode: "HTML",
-    reply_markup: { inline_keyboard: [] },
-  };
+// requestId → Outbox rows, so editing a request's Telegram messages reads only those rows.
+// Only this server appends to the Outbox sheet, so after one read of the Request ID column
+// saveOutboxMessage keeps it current.
+async function loadOutboxIndex() {
+  const cached = scriptCache.get(CACHE_OUTBOX_INDEX_KEY);
+  if (cached) return cached;
+  const index = {};
+  const column = columnLetter(OUTBOX_FIELDS.indexOf("requestId") + 1);
   try {
-    await axios.post(url, payload);
+    const result = await sheets.spreadsheets.values.get({
+      spreadsheetId: LEAVE_SPREADSHEET_ID,
+      range: `${OUTBOX_SHEET_NAME}!${column}2:${column}`,
+    });
+    (result.data.values || []).forEach((row, offset) => {
+      if (row[0]) indexOutboxRow(index, row[0], offset + 2);
+    });
   } catch (e) {
-    console.error(`Could not edit Telegram message: ${e.message}`);
+    if (e.code !== 400) throw e; // The sheet is created on the first message
   }
+  scriptCache.set(CACHE_OUTBOX_INDEX_KEY, index, REQUEST_INDEX_TTL);
+  return index;
 }
 
-// --- CORE LOGIC FUNCTIONS (Adapted for Node.js) ---
+function indexOutboxRow(index, requestId, row) {
+  if (!index[requestId]) index[requestId] = [];
+  if (!index[requestId].includes(row)) index[requestId].push(row);
+}
 
-async function checkEmployeeId(employeeId) {
-  if (!employeeId || !employeeId.trim()) {
-    return { status: "error", message: "សូម​បញ្ចូល​អត្តលេខ។" };
+async function findRequestRow(requestId) {
+  let index = await loadRequestIndex();
+  if (!index.byId[requestId]) index = await loadRequestIndex(true);
+  return index.byId[requestId] || null;
+}
+
+function toOutboxMessage(values, row) {
+  const message = { row };
+  OUTBOX_FIELDS.forEach((field, index) => {
+    message[field] = values[index] !== undefined ? values[index] : "";
+  });
+  message.attempts = parseInt(message.attempts, 10) || 0;
+  return message;
+}
+
+// What the scheduler still has to look at: see listOpenRequests.
+function isOpenRequest(request, since) {
+  if (request.status === "Pending") {
+    return new Date(request.timestamp) >= since;
   }
-  const trimmedEmployeeId = employeeId.trim();
+  const end = parseDateOnly(request.endDate);
+  return (
+    request.status === "Approved" &&
+    !request.checkInTimestamp &&
+    Boolean(end) &&
+    toDateKey(end) >= toDateKey(since)
+  );
+}
 
-  try {
-    let employeeMap = scriptCache.get(CACHE_EMPLOYEE_KEY);
-    if (!employeeMap) {
-      employeeMap = {};
+function createSheetsStore() {
+  async function readLeaveSheet(sheetName) {
+    try {
+      const result = await sheets.spreadsheets.values.get({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${sheetName}!A2:${LAST_REQUEST_COLUMN}`,
+      });
+      return result.data.values || [];
+    } catch (e) {
+      if (e.code !== 400) {
+        // Ignore "Sheet not found" errors
+        console.error(`Error reading sheet ${sheetName}: ${e.message}`);
+      }
+      return [];
+    }
+  }
+
+  // Reads the given rows in one call; returns null if the index pointed at the wrong row.
+  async function readIndexedRows(requestIds, index) {
+    const locations = requestIds.map((requestId) => index.byId[requestId]);
+    if (locations.length === 0) return [];
+    const res = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId: LEAVE_SPREADSHEET_ID,
+      ranges: locations.map(
+        (location) =>
+          `${location.sheet}!A${location.row}:${LAST_REQUEST_COLUMN}${location.row}`
+      ),
+    });
+    const requests = res.data.valueRanges.map((valueRange, i) =>
+      rowToRequest(
+        (valueRange.values || [[]])[0],
+        locations[i].sheet,
+        locations[i].row
+      )
+    );
+    const isStale = requests.some(
+      (request, i) => request.requestId !== requestIds[i]
+    );
+    return isStale ? null : requests;
+  }
+
+  async function readIndexedRequests(requestIds, index) {
+    const requests = await readIndexedRows(
+      requestIds.filter((requestId) => index.byId[requestId]),
+      index
+    );
+    if (requests) return requests;
+    // Rows were moved or deleted outside the app; rebuild from scratch once.
+    scriptCache.del(CACHE_REQUEST_INDEX_KEY);
+    const rebuilt = await loadRequestIndex(true);
+    return (
+      (await readIndexedRows(
+        requestIds.filter((requestId) => rebuilt.byId[requestId]),
+        rebuilt
+      )) || []
+    );
+  }
+
+  // Archiving deletes a row and moves the ones below it up, so a request read earlier may no
+  // longer be at request.row. Writes look the row up again by Request ID first.
+  async function readCurrentRequest(requestId) {
+    const found = await findRequestRow(requestId);
+    if (!found) return null;
+    const [request] = await readIndexedRequests(
+      [requestId],
+      await loadRequestIndex()
+    );
+    return request || null;
+  }
+
+  async function requireCurrentRequest(request) {
+    const current = await readCurrentRequest(request.requestId);
+    if (!current) {
+      throw new Error(`Request ${request.requestId} no longer exists.`);
+    }
+    return current;
+  }
+
+  async function appendToSheet(sheetName, request, valueInputOption) {
+    // The sheet name ends up in the A1 range, so only the known leave sheets are accepted.
+    if (!ALL_LEAVE_SHEETS.includes(sheetName)) {
+      throw new Error(`Unknown leave sheet: ${sheetName}`);
+    }
+    const row = requestToRow(request);
+    const res = await sheets.spreadsheets.values.append({
+      spreadsheetId: LEAVE_SPREADSHEET_ID,
+      range: `${sheetName}!A1`,
+      valueInputOption,
+      requestBody: {
+        values: [
+          valueInputOption === "USER_ENTERED" ? row.map(toSheetText) : row,
+        ],
+      },
+    });
+    indexAppendedRequest(request, sheetName, res.data.updates.updatedRange);
+    scriptCache.del(CACHE_ALL_REQUESTS_KEY);
+  }
+
+  return {
+    async loadEmployees() {
+      const employeeMap = {};
+      const groupIndex = EMPLOYEE_GROUP_COLUMN
+        ? columnNumber(EMPLOYEE_GROUP_COLUMN) - 1
+        : -1;
+      const lastColumn = groupIndex > 15 ? EMPLOYEE_GROUP_COLUMN : "P";
       const res = await sheets.spreadsheets.get({
         spreadsheetId: EMPLOYEE_DATA_SHEET_ID,
-        ranges: [`'${EMPLOYEE_SHEET_NAME}'!A${EMPLOYEE_DATA_START_ROW}:P`],
+        ranges: [
+          `'${EMPLOYEE_SHEET_NAME}'!A${EMPLOYEE_DATA_START_ROW}:${lastColumn}`,
+        ],
         includeGridData: true,
       });
 
@@ -246,447 +1159,4456 @@ async function checkEmployeeId(employeeId) {
               const match = formula.match(/["'](https?:\/\/[^"']+)["']/);
               if (match && match[1]) photoUrl = match[1];
             }
-            employeeMap[id] = { name, photoUrl };
+            const groupCell = groupIndex >= 0 ? row.values[groupIndex] : null;
+            const group =
+              groupCell && groupCell.formattedValue
+                ? groupCell.formattedValue.toString().trim()
+                : "default";
+            employeeMap[id] = { name, photoUrl, group };
           }
         }
       }
-      scriptCache.set(CACHE_EMPLOYEE_KEY, employeeMap);
-    }
-
-    const employeeInfo = employeeMap[trimmedEmployeeId];
-    return employeeInfo
-      ? {
-          status: "success",
-          name: employeeInfo.name,
-          photoUrl: employeeInfo.photoUrl,
-        }
-      : { status: "error", message: "អត្តលេខមិនត្រឹមត្រូវ។" };
-  } catch (e) {
-    console.error(`checkEmployeeId Error: ${e.stack}`);
-    return { status: "error", message: `System Error: ${e.message}` };
-  }
-}
+      return employeeMap;
+    },
 
-async function getUserStatus(employeeId) {
-  // This is a simplified version. A full implementation would require fetching and iterating through all leave sheets.
-  // For performance in a stateless environment, it's better to query sheets directly for the latest record.
-  // However, to maintain logic parity, we'll adapt the original loop structure.
-  try {
-    let latestRequest = { status: "Clear", timestamp: 0 };
-    for (const sheetName of ALL_LEAVE_SHEETS) {
-      try {
-        const result = await sheets.spreadsheets.values.get({
-          spreadsheetId: LEAVE_SPREADSHEET_ID,
-          range: `${sheetName}!A2:U`,
-        });
-        const rows = result.data.values;
-        if (!rows) continue;
+    async loadAdminAccounts() {
+      const result = await sheets.spreadsheets.values.get({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${ADMIN_SHEET_NAME}!A2:D`,
+      });
+      const accounts = {};
+      (result.data.values || []).forEach((row) => {
+        const username = (row[0] || "").toString().trim().toLowerCase();
+        if (!username) return;
+        accounts[username] = {
+          username,
+          displayName: row[1] || username,
+          passwordHash: row[2] || "",
+          telegramUserId: (row[3] || "").toString().trim(),
+        };
+      });
+      return accounts;
+    },
 
-        for (const row of rows.slice().reverse()) {
-          // Iterate from the end
-          const reqEmployeeId = row[EMPLOYEE_ID_COL - 1]
-            ? row[EMPLOYEE_ID_COL - 1].toString().trim()
-            : "";
-          if (reqEmployeeId === employeeId) {
-            const reqStatus = row[STATUS_COL - 1];
-            // Prioritize Pending and Approved-Unchecked-In
-            if (
-              reqStatus === "Pending" ||
-              (reqStatus === "Approved" && !row[CHECKIN_TIMESTAMP_COL - 1])
-            ) {
-              return { status: reqStatus, requestId: row[REQUEST_ID_COL - 1] };
-            }
-            // If we find any other status, it's the latest, but keep searching for priority ones.
-            if (
-              new Date(row[TIMESTAMP_COL - 1]).getTime() >
-              latestRequest.timestamp
-            ) {
-              latestRequest = {
-                status: reqStatus,
-                requestId: row[REQUEST_ID_COL - 1],
-                timestamp: new Date(row[TIMESTAMP_COL - 1]).getTime(),
-                reason: row[ADMIN_CHECKIN_NOTE_COL - 1] || "",
-              };
-            }
+    async listRequests() {
+      let requests = scriptCache.get(CACHE_ALL_REQUESTS_KEY);
+      if (requests) return requests;
+      requests = [];
+      // A full read is also a free index rebuild.
+      const index = emptyRequestIndex();
+      for (const sheetName of ALL_LEAVE_SHEETS) {
+        const rows = await readLeaveSheet(sheetName);
+        rows.forEach((row, offset) => {
+          if (row[REQUEST_ID_COL - 1]) {
+            const request = rowToRequest(row, sheetName, offset + 2);
+            requests.push(request);
+            indexRequestRow(
+              index,
+              sheetName,
+              request.row,
+              request.requestId,
+              request.employeeId
+            );
           }
-        }
-      } catch (e) {
-        /* Ignore sheet not found */
+        });
+        index.nextRow[sheetName] = rows.length + 2;
       }
-    }
-    return latestRequest;
+      index.refreshedAt = Date.now();
+      saveRequestIndex(index);
+      scriptCache.set(CACHE_ALL_REQUESTS_KEY, requests, ALL_REQUESTS_CACHE_TTL);
+      return requests;
+    },
+
+    // Pending requests submitted since `since`, and Approved ones not checked in yet that end
+    // on or after it. Only the columns needed to pick them are read, then just those rows.
+    async listOpenRequests(since) {
+      const cached = scriptCache.get(CACHE_ALL_REQUESTS_KEY);
+      if (cached)
+        return cached.filter((request) => isOpenRequest(request, since));
+      const fields = [
+        "requestId",
+        "timestamp",
+        "endDate",
+        "status",
+        "checkInTimestamp",
+      ];
+      const sheetIds = await getSheetIds();
+      const sheetNames = ALL_LEAVE_SHEETS.filter(
+        (sheetName) => sheetIds[sheetName] !== undefined
+      );
+      if (sheetNames.length === 0) return [];
+      const res = await sheets.spreadsheets.values.batchGet({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        ranges: sheetNames.flatMap((sheetName) =>
+          fields.map((field) => {
+            const column = columnLetter(REQUEST_COLUMNS[field]);
+            return `${sheetName}!${column}2:${column}`;
+          })
+        ),
+        majorDimension: "COLUMNS",
+      });
+      const columnValues = (i) => (res.data.valueRanges[i].values || [[]])[0];
+      const requestIds = [];
+      sheetNames.forEach((sheetName, sheetIndex) => {
+        const columns = fields.map((field, i) =>
+          columnValues(sheetIndex * fields.length + i)
+        );
+        columns[0].forEach((requestId, offset) => {
+          const partial = {};
+          fields.forEach((field, i) => {
+            partial[field] = (columns[i][offset] || "").toString();
+          });
+          if (requestId && isOpenRequest(partial, since)) {
+            requestIds.push(String(requestId));
+          }
+        });
+      });
+      return readIndexedRequests(requestIds, await loadRequestIndex());
+    },
+
+    async listRequestsByEmployee(employeeId) {
+      const index = await loadRequestIndex();
+      return readIndexedRequests(index.byEmployee[employeeId] || [], index);
+    },
+
+    async findRequest(requestId) {
+      return readCurrentRequest(requestId);
+    },
+
+    async appendRequest(request) {
+      await appendToSheet(request.leaveType, request, "USER_ENTERED");
+    },
+
+    async updateRequest(request, fields) {
+      const { sheet, row } = await requireCurrentRequest(request);
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        requestBody: {
+          valueInputOption: "USER_ENTERED",
+          data: Object.keys(fields).map((field) => ({
+            range: `${sheet}!${columnLetter(REQUEST_COLUMNS[field])}${row}`,
+            values: [[toSheetText(fields[field])]],
+          })),
+        },
+      });
+      scriptCache.del(CACHE_ALL_REQUESTS_KEY);
+    },
+
+    async archiveRequest(request, deletion) {
+      const current = await requireCurrentRequest(request);
+      await ensureSheetExists(DELETED_REQUESTS_SHEET_NAME, [
+        ...LEAVE_COLUMN_HEADERS,
+        "Deleted At",
+        "Deleted By",
+        "Delete Reason",
+        "Original Sheet",
+      ]);
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${DELETED_REQUESTS_SHEET_NAME}!A1`,
+        valueInputOption: "RAW",
+        requestBody: {
+          values: [
+            [
+              ...requestToRow(current),
+              deletion.deletedAt,
+              deletion.deletedBy,
+              deletion.deleteReason,
+              current.sheet,
+            ],
+          ],
+        },
+      });
+      await deleteSheetRow(current.sheet, current.row);
+      unindexDeletedRequest(current);
+      scriptCache.del(CACHE_ALL_REQUESTS_KEY);
+    },
+
+    async restoreRequest(requestId) {
+      const result = await sheets.spreadsheets.values.get({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${DELETED_REQUESTS_SHEET_NAME}!A2:${columnLetter(
+          LEAVE_COLUMN_HEADERS.length + 4
+        )}`,
+      });
+      const rows = result.data.values || [];
+      const index = rows.findIndex(
+        (row) => row[REQUEST_ID_COL - 1] === requestId
+      );
+      if (index === -1) return null;
+
+      // The four deletion columns always end the row, so rows archived before a request
+      // column was added (and are therefore shorter) still restore correctly.
+      const row = rows[index];
+      const originalSheet = row[row.length - 1];
+      const request = rowToRequest(row.slice(0, row.length - 4), originalSheet);
+      await appendToSheet(originalSheet, request, "RAW");
+      await deleteSheetRow(DELETED_REQUESTS_SHEET_NAME, index + 2);
+      return request;
+    },
+
+    async loadTelegramLinks() {
+      const links = {};
+      try {
+        const result = await sheets.spreadsheets.values.get({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${TELEGRAM_LINKS_SHEET_NAME}!A2:B`,
+        });
+        (result.data.values || []).forEach((row) => {
+          if (row[0] && row[1])
+            links[row[0].toString().trim()] = String(row[1]);
+        });
+      } catch (e) {
+        if (e.code !== 400) throw e; // The sheet is created on the first link
+      }
+      return links;
+    },
+
+    async loadHolidays() {
+      const holidays = {};
+      try {
+        const result = await sheets.spreadsheets.values.get({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${HOLIDAYS_SHEET_NAME}!A2:B`,
+        });
+        (result.data.values || []).forEach((row) => {
+          const date = parseDateOnly(row[0]);
+          if (date)
+            holidays[toDateKey(date)] = (row[1] || "").toString().trim();
+        });
+      } catch (e) {
+        if (e.code !== 400) throw e; // No Holidays sheet means no holidays
+      }
+      return holidays;
+    },
+
+    async saveTelegramLink(employeeId, chatId) {
+      await ensureSheetExists(TELEGRAM_LINKS_SHEET_NAME, [
+        "Employee ID",
+        "Telegram Chat ID",
+        "Linked At",
+      ]);
+      const result = await sheets.spreadsheets.values.get({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${TELEGRAM_LINKS_SHEET_NAME}!A2:A`,
+      });
+      const index = (result.data.values || []).findIndex(
+        (row) => (row[0] || "").toString().trim() === employeeId
+      );
+      const values = [[employeeId, chatId, new Date().toISOString()]];
+      if (index === -1) {
+        await sheets.spreadsheets.values.append({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${TELEGRAM_LINKS_SHEET_NAME}!A1`,
+          valueInputOption: "RAW",
+          requestBody: { values },
+        });
+      } else {
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${TELEGRAM_LINKS_SHEET_NAME}!A${index + 2}:C${index + 2}`,
+          valueInputOption: "RAW",
+          requestBody: { values },
+        });
+      }
+    },
+
+    // `row` is remembered on the message so later status changes update it in place.
+    async saveOutboxMessage(message) {
+      const values = [
+        OUTBOX_FIELDS.map((field) =>
+          message[field] !== undefined ? message[field] : ""
+        ),
+      ];
+      if (message.row) {
+        await sheets.spreadsheets.values.update({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${OUTBOX_SHEET_NAME}!A${message.row}:${columnLetter(
+            OUTBOX_FIELDS.length
+          )}${message.row}`,
+          valueInputOption: "RAW",
+          requestBody: { values },
+        });
+        return;
+      }
+      await ensureSheetExists(OUTBOX_SHEET_NAME, OUTBOX_FIELDS);
+      const res = await sheets.spreadsheets.values.append({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${OUTBOX_SHEET_NAME}!A1`,
+        valueInputOption: "RAW",
+        requestBody: { values },
+      });
+      const match = /![A-Z]+(\d+)/.exec(res.data.updates.updatedRange || "");
+      if (match) message.row = parseInt(match[1], 10);
+      const index = scriptCache.get(CACHE_OUTBOX_INDEX_KEY);
+      if (index && message.requestId && message.row) {
+        indexOutboxRow(index, message.requestId, message.row);
+        scriptCache.set(CACHE_OUTBOX_INDEX_KEY, index, REQUEST_INDEX_TTL);
+      }
+    },
+
+    async listOutboxMessages(status) {
+      let rows = [];
+      try {
+        const result = await sheets.spreadsheets.values.get({
+          spreadsheetId: LEAVE_SPREADSHEET_ID,
+          range: `${OUTBOX_SHEET_NAME}!A2:${columnLetter(
+            OUTBOX_FIELDS.length
+          )}`,
+        });
+        rows = result.data.values || [];
+      } catch (e) {
+        if (e.code !== 400) throw e; // The sheet is created on the first message
+      }
+      return rows
+        .map((row, offset) => toOutboxMessage(row, offset + 2))
+        .filter((message) => message.status === status);
+    },
+
+    async listOutboxMessagesForRequest(requestId) {
+      const rows = (await loadOutboxIndex())[requestId] || [];
+      if (rows.length === 0) return [];
+      const lastColumn = columnLetter(OUTBOX_FIELDS.length);
+      const result = await sheets.spreadsheets.values.batchGet({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        ranges: rows.map(
+          (row) => `${OUTBOX_SHEET_NAME}!A${row}:${lastColumn}${row}`
+        ),
+      });
+      return result.data.valueRanges
+        .map((valueRange, i) =>
+          toOutboxMessage((valueRange.values || [])[0] || [], rows[i])
+        )
+        .filter((message) => message.requestId === requestId);
+    },
+
+    async appendAuditLog(entry) {
+      await ensureSheetExists(AUDIT_LOG_SHEET_NAME, [
+        "Timestamp",
+        "Action",
+        "Request ID",
+        "Actor",
+        "Details",
+      ]);
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: LEAVE_SPREADSHEET_ID,
+        range: `${AUDIT_LOG_SHEET_NAME}!A1`,
+        valueInputOption: "RAW",
+        requestBody: {
+          values: [
+            [
+              entry.timestamp,
+              entry.action,
+              entry.requestId,
+              entry.actor,
+              entry.details,
+            ],
+          ],
+        },
+      });
+    },
+  };
+}
+
+function createSqliteStore(dbPath) {
+  const Database = require("better-sqlite3"); // Only required when STORAGE_BACKEND=sqlite
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+
+  const toColumnName = (field) =>
+    field.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`);
+  const columns = REQUEST_FIELDS.map(toColumnName);
+
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS leave_requests (${columns
+      .map((column) =>
+        column === "request_id"
+          ? "request_id TEXT PRIMARY KEY"
+          : `${column} TEXT`
+      )
+      .join(", ")})`
+  );
+  // Add columns for fields introduced after the table was created.
+  const addMissingColumns = (table, tableColumns) => {
+    const existingColumns = db
+      .prepare(`PRAGMA table_info(${table})`)
+      .all()
+      .map((column) => column.name);
+    tableColumns
+      .filter((column) => !existingColumns.includes(column))
+      .forEach((column) =>
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} TEXT`)
+      );
+  };
+  addMissingColumns("leave_requests", columns);
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_leave_requests_employee ON leave_requests (employee_id);
+    CREATE TABLE IF NOT EXISTS deleted_requests (
+      request_id TEXT PRIMARY KEY, data TEXT, sheet TEXT,
+      deleted_at TEXT, deleted_by TEXT, delete_reason TEXT
+    );
+    CREATE TABLE IF NOT EXISTS employees (
+      employee_id TEXT PRIMARY KEY, name TEXT, photo_url TEXT, group_name TEXT
+    );
+    CREATE TABLE IF NOT EXISTS admins (
+      username TEXT PRIMARY KEY, display_name TEXT, password_hash TEXT, telegram_user_id TEXT
+    );
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT, action TEXT,
+      request_id TEXT, actor TEXT, details TEXT
+    );
+    CREATE TABLE IF NOT EXISTS telegram_links (
+      employee_id TEXT PRIMARY KEY, chat_id TEXT, linked_at TEXT
+    );
+    CREATE TABLE IF NOT EXISTS holidays (date TEXT PRIMARY KEY, name TEXT);
+  `);
+
+  const employeeColumns = db
+    .prepare("PRAGMA table_info(employees)")
+    .all()
+    .map((column) => column.name);
+  if (!employeeColumns.includes("group_name")) {
+    db.exec("ALTER TABLE employees ADD COLUMN group_name TEXT");
+  }
+
+  const outboxColumns = OUTBOX_FIELDS.map(toColumnName);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS outbox (${outboxColumns
+      .map((column) =>
+        column === "id" ? "id TEXT PRIMARY KEY" : `${column} TEXT`
+      )
+      .join(", ")});
+    CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox (status);
+  `);
+  addMissingColumns("outbox", outboxColumns);
+  db.exec(
+    "CREATE INDEX IF NOT EXISTS idx_outbox_request ON outbox (request_id)"
+  );
+
+  const fromDbRow = (row) => {
+    const request = {};
+    REQUEST_FIELDS.forEach((field, index) => {
+      const value = row[columns[index]];
+      request[field] = value !== undefined && value !== null ? value : "";
+    });
+    request.sheet = request.leaveType;
+    return request;
+  };
+  const toDbParams = (request) => {
+    const params = {};
+    REQUEST_FIELDS.forEach((field, index) => {
+      const value = request[field];
+      params[columns[index]] =
+        value !== undefined && value !== null ? String(value) : "";
+    });
+    return params;
+  };
+
+  const insertRequest = db.prepare(
+    `INSERT OR REPLACE INTO leave_requests (${columns.join(
+      ", "
+    )}) VALUES (${columns.map((column) => `@${column}`).join(", ")})`
+  );
+  const selectRequest = db.prepare(
+    "SELECT * FROM leave_requests WHERE request_id = ?"
+  );
+  const selectAllRequests = db.prepare(
+    "SELECT * FROM leave_requests ORDER BY timestamp"
+  );
+  const selectEmployeeRequests = db.prepare(
+    "SELECT * FROM leave_requests WHERE employee_id = ? ORDER BY timestamp"
+  );
+  const deleteRequest = db.prepare(
+    "DELETE FROM leave_requests WHERE request_id = ?"
+  );
+  const insertDeleted = db.prepare(
+    `INSERT OR REPLACE INTO deleted_requests (request_id, data, sheet, deleted_at, deleted_by, delete_reason)
+     VALUES (@requestId, @data, @sheet, @deletedAt, @deletedBy, @deleteReason)`
+  );
+  const selectDeleted = db.prepare(
+    "SELECT * FROM deleted_requests WHERE request_id = ?"
+  );
+  const deleteDeleted = db.prepare(
+    "DELETE FROM deleted_requests WHERE request_id = ?"
+  );
+  const insertEmployee = db.prepare(
+    "INSERT OR REPLACE INTO employees (employee_id, name, photo_url, group_name) VALUES (?, ?, ?, ?)"
+  );
+  const insertAdmin = db.prepare(
+    "INSERT OR REPLACE INTO admins (username, display_name, password_hash, telegram_user_id) VALUES (?, ?, ?, ?)"
+  );
+  const insertAudit = db.prepare(
+    "INSERT INTO audit_log (timestamp, action, request_id, actor, details) VALUES (?, ?, ?, ?, ?)"
+  );
+  const upsertOutbox = db.prepare(
+    `INSERT OR REPLACE INTO outbox (${outboxColumns.join(
+      ", "
+    )}) VALUES (${outboxColumns.map((column) => `@${column}`).join(", ")})`
+  );
+  const selectOutbox = db.prepare(
+    "SELECT * FROM outbox WHERE status = ? ORDER BY created_at"
+  );
+  const selectOutboxByRequest = db.prepare(
+    "SELECT * FROM outbox WHERE request_id = ? ORDER BY created_at"
+  );
+  const fromOutboxRow = (row) => {
+    const message = {};
+    OUTBOX_FIELDS.forEach((field, index) => {
+      message[field] = row[outboxColumns[index]] || "";
+    });
+    message.attempts = parseInt(message.attempts, 10) || 0;
+    return message;
+  };
+  const insertTelegramLink = db.prepare(
+    "INSERT OR REPLACE INTO telegram_links (employee_id, chat_id, linked_at) VALUES (?, ?, ?)"
+  );
+  const insertHoliday = db.prepare(
+    "INSERT OR REPLACE INTO holidays (date, name) VALUES (?, ?)"
+  );
+
+  return {
+    async loadEmployees() {
+      const employeeMap = {};
+      db.prepare("SELECT * FROM employees")
+        .all()
+        .forEach((row) => {
+          employeeMap[row.employee_id] = {
+            name: row.name || "",
+            photoUrl: row.photo_url || "",
+            group: row.group_name || "default",
+          };
+        });
+      return employeeMap;
+    },
+
+    async loadAdminAccounts() {
+      const accounts = {};
+      db.prepare("SELECT * FROM admins")
+        .all()
+        .forEach((row) => {
+          accounts[row.username] = {
+            username: row.username,
+            displayName: row.display_name || row.username,
+            passwordHash: row.password_hash || "",
+            telegramUserId: row.telegram_user_id || "",
+          };
+        });
+      return accounts;
+    },
+
+    async listRequests() {
+      return selectAllRequests.all().map(fromDbRow);
+    },
+
+    async listOpenRequests(since) {
+      return selectAllRequests
+        .all()
+        .map(fromDbRow)
+        .filter((request) => isOpenRequest(request, since));
+    },
+
+    async listRequestsByEmployee(employeeId) {
+      return selectEmployeeRequests.all(employeeId).map(fromDbRow);
+    },
+
+    async findRequest(requestId) {
+      const row = selectRequest.get(requestId);
+      return row ? fromDbRow(row) : null;
+    },
+
+    async appendRequest(request) {
+      insertRequest.run(toDbParams(request));
+    },
+
+    async updateRequest(request, fields) {
+      const fieldNames = Object.keys(fields);
+      const params = { request_id: request.requestId };
+      fieldNames.forEach((field) => {
+        params[toColumnName(field)] = String(fields[field]);
+      });
+      db.prepare(
+        `UPDATE leave_requests SET ${fieldNames
+          .map((field) => `${toColumnName(field)} = @${toColumnName(field)}`)
+          .join(", ")} WHERE request_id = @request_id`
+      ).run(params);
+    },
+
+    async archiveRequest(request, deletion) {
+      db.transaction(() => {
+        insertDeleted.run({
+          requestId: request.requestId,
+          data: JSON.stringify(toDbParams(request)),
+          sheet: request.leaveType,
+          ...deletion,
+        });
+        deleteRequest.run(request.requestId);
+      })();
+    },
+
+    async restoreRequest(requestId) {
+      const row = selectDeleted.get(requestId);
+      if (!row) return null;
+      const request = fromDbRow(JSON.parse(row.data));
+      db.transaction(() => {
+        insertRequest.run(toDbParams(request));
+        deleteDeleted.run(requestId);
+      })();
+      return request;
+    },
+
+    async loadTelegramLinks() {
+      const links = {};
+      db.prepare("SELECT * FROM telegram_links")
+        .all()
+        .forEach((row) => {
+          links[row.employee_id] = row.chat_id;
+        });
+      return links;
+    },
+
+    async saveTelegramLink(employeeId, chatId) {
+      insertTelegramLink.run(employeeId, chatId, new Date().toISOString());
+    },
+
+    async loadHolidays() {
+      const holidays = {};
+      db.prepare("SELECT * FROM holidays")
+        .all()
+        .forEach((row) => {
+          holidays[row.date] = row.name || "";
+        });
+      return holidays;
+    },
+
+    async saveOutboxMessage(message) {
+      const params = {};
+      OUTBOX_FIELDS.forEach((field, index) => {
+        params[outboxColumns[index]] =
+          message[field] !== undefined ? String(message[field]) : "";
+      });
+      upsertOutbox.run(params);
+    },
+
+    async listOutboxMessages(status) {
+      return selectOutbox.all(status).map(fromOutboxRow);
+    },
+
+    async listOutboxMessagesForRequest(requestId) {
+      return selectOutboxByRequest.all(requestId).map(fromOutboxRow);
+    },
+
+    async appendAuditLog(entry) {
+      insertAudit.run(
+        entry.timestamp,
+        entry.action,
+        entry.requestId,
+        entry.actor,
+        entry.details
+      );
+    },
+
+    // Used by `node code.js migrate-to-sqlite`.
+    importAll({ employees, accounts, requests, links, holidays }) {
+      db.transaction(() => {
+        Object.keys(employees).forEach((id) =>
+          insertEmployee.run(
+            id,
+            employees[id].name,
+            employees[id].photoUrl,
+            employees[id].group
+          )
+        );
+        Object.values(accounts).forEach((account) =>
+          insertAdmin.run(
+            account.username,
+            account.displayName,
+            account.passwordHash,
+            account.telegramUserId
+          )
+        );
+        requests.forEach((request) => insertRequest.run(toDbParams(request)));
+        Object.keys(links).forEach((employeeId) =>
+          insertTelegramLink.run(
+            employeeId,
+            links[employeeId],
+            new Date().toISOString()
+          )
+        );
+        Object.keys(holidays).forEach((date) =>
+          insertHoliday.run(date, holidays[date])
+        );
+      })();
+    },
+  };
+}
+
+// One-shot import of the leave sheets, the employee sheet and the Admins sheet into SQLite.
+// Safe to re-run: rows are upserted by their primary key.
+async function migrateSheetsToSqlite() {
+  const source = createSheetsStore();
+  const target = createSqliteStore(SQLITE_DB_PATH);
+  const employees = await source.loadEmployees();
+  const accounts = await source.loadAdminAccounts().catch((e) => {
+    console.warn(`No ${ADMIN_SHEET_NAME} sheet imported: ${e.message}`);
+    return {};
+  });
+  const requests = await source.listRequests();
+  const links = await source.loadTelegramLinks();
+  const holidays = await source.loadHolidays();
+  target.importAll({ employees, accounts, requests, links, holidays });
+  console.log(
+    `Imported ${Object.keys(employees).length} employees, ${
+      Object.keys(accounts).length
+    } admins, ${requests.length} leave requests, ${
+      Object.keys(links).length
+    } Telegram links and ${
+      Object.keys(holidays).length
+    } holidays into ${SQLITE_DB_PATH}`
+  );
+}
+
+const leaveStore =
+  STORAGE_BACKEND === "sqlite"
+    ? createSqliteStore(SQLITE_DB_PATH)
+    : createSheetsStore();
+
+async function appendAuditLog(action, requestId, actor, details = "") {
+  try {
+    await leaveStore.appendAuditLog({
+      timestamp: new Date().toISOString(),
+      action,
+      requestId,
+      actor,
+      details,
+    });
+  } catch (e) {
+    console.error(`appendAuditLog Error: ${e.message}`);
+  }
+}
+
+// --- TELEGRAM FUNCTIONS ---
+async function sendTelegramMessage(chatId, text, keyboard = null) {
+  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/sendMessage`;
+  const payload = { chat_id: String(chatId), text, parse_mode: "HTML" };
+  if (keyboard) payload.reply_markup = keyboard;
+  try {
+    const response = await axios.post(url, payload);
+    return response.data.result;
+  } catch (e) {
+    console.error(
+      `Could not send Telegram message to ${chatId}: ${
+        e.response ? e.response.data.description : e.message
+      }`
+    );
+    return null;
+  }
+}
+
+// Queues the message for every route matching the request's leave type and the employee's
+// group, then starts a delivery attempt without waiting for it; failures are retried by the
+// outbox.
+async function sendTelegramNotification(
+  message,
+  keyboard = null,
+  request = {}
+) {
+  let group = "";
+  if (request.employeeId && TELEGRAM_ROUTES.some((route) => route.groups)) {
+    const employeeMap = await getEmployeeMap().catch(() => ({}));
+    const employee = employeeMap[String(request.employeeId).trim()];
+    group = employee ? employee.group : "";
+  }
+  const routes = getMatchingRoutes(request, group);
+  if (routes.length === 0) {
+    console.log("No Telegram route matches. Skipping notification.");
+    return;
+  }
+
+  for (const route of routes) {
+    await enqueueTelegramMessage(
+      route.bot,
+      route.chatId,
+      message,
+      getBotToken(route.bot) === ACTION_BOT_TOKEN ? keyboard : null,
+      request.requestId
+    );
+  }
+  kickOutbox();
+}
+
+async function answerCallbackQuery(callbackQueryId, text, showAlert = false) {
+  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/answerCallbackQuery`;
+  try {
+    await axios.post(url, {
+      callback_query_id: callbackQueryId,
+      text,
+      show_alert: showAlert,
+    });
+  } catch (e) {
+    console.error(`Could not answer callback query: ${e.message}`);
+  }
+}
+
+// Points the action bot at our /webhook with the secret token Telegram must echo back.
+async function registerTelegramWebhook() {
+  if (!TELEGRAM_WEBHOOK_URL) return;
+  if (!TELEGRAM_WEBHOOK_SECRET) {
+    // /webhook rejects every call without it, so registering would only lose updates.
+    console.error(
+      "TELEGRAM_WEBHOOK_SECRET is not set; the Telegram webhook was not registered."
+    );
+    return;
+  }
+  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/setWebhook`;
+  const payload = {
+    url: TELEGRAM_WEBHOOK_URL,
+    secret_token: TELEGRAM_WEBHOOK_SECRET,
+  };
+  try {
+    await axios.post(url, payload);
+    console.log(`Telegram webhook registered at ${TELEGRAM_WEBHOOK_URL}`);
+    await axios.post(
+      `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/setMyCommands`,
+      { commands: BOT_COMMANDS }
+    );
+  } catch (e) {
+    console.error(
+      `Could not register Telegram webhook: ${
+        e.response ? e.response.data.description : e.message
+      }`
+    );
+  }
+}
+
+// The approver is identified by the Telegram user who presses the button. Passing the
+// request adds the payment button while its receipt still needs checking.
+function buildApprovalKeyboard(requestId, request = null) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "✅ យល់ព្រម", callback_data: `approve_${requestId}` },
+        { text: "❌ បដិសេធ", callback_data: `reject_${requestId}` },
+      ],
+      ...(request ? buildPaymentButtons(request) : []),
+    ],
+  };
+}
+
+function buildPaymentButtons(request) {
+  return getPaymentStatus(request) === "ReceiptUploaded"
+    ? [
+        [
+          {
+            text: "💵 ផ្ទៀងផ្ទាត់ការបង់ប្រាក់",
+            callback_data: `payverify_${request.requestId}`,
+          },
+        ],
+      ]
+    : [];
+}
+
+// What is left of a message's keyboard once its receipt has been verified.
+function removePaymentButtons(keyboard) {
+  const rows = ((keyboard && keyboard.inline_keyboard) || []).filter(
+    (row) =>
+      !row.some((button) =>
+        String(button.callback_data || "").startsWith("payverify_")
+      )
+  );
+  return rows.length > 0 ? { inline_keyboard: rows } : null;
+}
+
+function getRejectionReasons(leaveType) {
+  return REJECTION_REASONS[leaveType] || DEFAULT_REJECTION_REASONS;
+}
+
+function buildRejectionReasonKeyboard(requestId, leaveType) {
+  return {
+    inline_keyboard: [
+      ...getRejectionReasons(leaveType).map((reason, index) => [
+        { text: reason, callback_data: `rejectreason_${requestId}_${index}` },
+      ]),
+      [
+        {
+          text: "✍️ សរសេរមូលហេតុផ្សេង",
+          callback_data: `rejectcustom_${requestId}`,
+        },
+        { text: "↩️ ត្រឡប់", callback_data: `rejectback_${requestId}` },
+      ],
+    ],
+  };
+}
+
+async function editTelegramReplyMarkup(chatId, messageId, keyboard) {
+  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/editMessageReplyMarkup`;
+  try {
+    await axios.post(url, {
+      chat_id: String(chatId),
+      message_id: messageId,
+      reply_markup: keyboard,
+    });
+  } catch (e) {
+    console.error(`Could not edit Telegram keyboard: ${e.message}`);
+  }
+}
+
+// Removes the buttons unless a keyboard is given (e.g. the next approval step's).
+async function editTelegramMessage(chatId, messageId, text, keyboard = null) {
+  const url = `https://api.telegram.org/bot${ACTION_BOT_TOKEN}/editMessageText`;
+  const payload = {
+    chat_id: String(chatId),
+    message_id: messageId,
+    text: text,
+    parse_mode: "HTML",
+    reply_markup: keyboard || { inline_keyboard: [] },
+  };
+  try {
+    await axios.post(url, payload);
+  } catch (e) {
+    console.error(`Could not edit Telegram message: ${e.message}`);
+  }
+}
+
+// --- TELEGRAM OUTBOX ---
+// Notifications are stored before sending and retried with exponential backoff, so a Telegram
+// outage delays them instead of losing them. Messages name their bot by key ("action" or the
+// index into TELEGRAM_BOT_TOKENS) so tokens never end up in storage.
+
+const outboxQueue = []; // Pending messages, mirrored in storage
+const chatNextSendAt = {}; // chatId → earliest time (ms) we may send to it again
+let isOutboxRunning = false;
+
+async function enqueueTelegramMessage(
+  bot,
+  chatId,
+  text,
+  keyboard = null,
+  requestId = ""
+) {
+  const message = {
+    id: crypto.randomBytes(8).toString("hex"),
+    createdAt: new Date().toISOString(),
+    bot: String(bot),
+    chatId: String(chatId),
+    text,
+    keyboard: keyboard ? JSON.stringify(keyboard) : "",
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: "",
+    sentAt: "",
+    requestId: requestId || "",
+    messageId: "",
+  };
+  try {
+    await leaveStore.saveOutboxMessage(message);
+  } catch (e) {
+    // Still deliver from memory; it just won't survive a restart.
+    console.error(`enqueueTelegramMessage Error: ${e.message}`);
+  }
+  outboxQueue.push(message);
+  return message;
+}
+
+async function deliverOutboxMessage(message) {
+  const payload = {
+    chat_id: message.chatId,
+    text: message.text,
+    parse_mode: "HTML",
+  };
+  if (message.keyboard) payload.reply_markup = JSON.parse(message.keyboard);
+  const response = await axios.post(
+    `https://api.telegram.org/bot${getBotToken(message.bot)}/sendMessage`,
+    payload,
+    { headers: { "Content-Type": "application/json" } }
+  );
+  return response.data.result;
+}
+
+// Sends every due message once. 429s wait for Telegram's retry_after (and hold back the whole
+// chat); 400/403 are permanent (bad chat, bot blocked) and go straight to the dead letters.
+async function processOutbox() {
+  if (isOutboxRunning) return;
+  isOutboxRunning = true;
+  try {
+    for (const message of outboxQueue.slice()) {
+      const now = Date.now();
+      if (
+        Date.parse(message.nextAttemptAt) > now ||
+        (chatNextSendAt[message.chatId] || 0) > now
+      ) {
+        continue;
+      }
+      try {
+        const sent = await deliverOutboxMessage(message);
+        message.status = "sent";
+        message.messageId = sent ? String(sent.message_id) : "";
+        message.sentAt = new Date().toISOString();
+        chatNextSendAt[message.chatId] =
+          Date.now() + OUTBOX_PER_CHAT_INTERVAL_MS;
+      } catch (e) {
+        const error = e.response && e.response.data ? e.response.data : null;
+        const retryAfter =
+          error && error.parameters ? error.parameters.retry_after : 0;
+        message.attempts++;
+        message.lastError = error
+          ? `${error.error_code}: ${error.description}`
+          : e.message;
+
+        let delay = Math.min(
+          OUTBOX_BASE_DELAY_MS * 2 ** (message.attempts - 1),
+          OUTBOX_MAX_DELAY_MS
+        );
+        if (retryAfter) {
+          delay = retryAfter * 1000;
+          chatNextSendAt[message.chatId] = Date.now() + delay;
+        }
+        const isPermanent =
+          error && (error.error_code === 400 || error.error_code === 403);
+        if (isPermanent || message.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          message.status = "dead";
+          console.error(
+            `Telegram message ${message.id} to ${message.chatId} moved to dead letters: ${message.lastError}`
+          );
+        } else {
+          message.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+      }
+      if (message.status !== "pending") {
+        outboxQueue.splice(outboxQueue.indexOf(message), 1);
+      }
+      await leaveStore.saveOutboxMessage(message).catch((e) => {
+        console.error(`saveOutboxMessage Error: ${e.message}`);
+      });
+    }
+  } finally {
+    isOutboxRunning = false;
+  }
+}
+
+// Starts a delivery pass without waiting for it, so a slow or failing Telegram never holds
+// up the request that queued the message; whatever is left is retried by the worker.
+function kickOutbox() {
+  processOutbox().catch((e) =>
+    console.error(`processOutbox Error: ${e.stack}`)
+  );
+}
+
+// Picks up messages left pending by a previous run, then keeps draining the queue.
+async function startOutboxWorker() {
+  try {
+    const pending = await leaveStore.listOutboxMessages("pending");
+    outboxQueue.push(...pending);
+    if (pending.length > 0) {
+      console.log(`Outbox: resuming ${pending.length} pending messages`);
+    }
+  } catch (e) {
+    console.error(`startOutboxWorker Error: ${e.message}`);
+  }
+  setInterval(kickOutbox, OUTBOX_INTERVAL_MS);
+}
+
+async function retryDeadOutboxMessage(messageId, adminRole) {
+  const dead = await leaveStore.listOutboxMessages("dead");
+  const message = dead.find((item) => item.id === messageId);
+  if (!message) {
+    return { status: "error", message: "រកមិនឃើញសារនេះទេ។" };
+  }
+  message.status = "pending";
+  message.attempts = 0;
+  message.nextAttemptAt = new Date().toISOString();
+  await leaveStore.saveOutboxMessage(message);
+  outboxQueue.push(message);
+  await appendAuditLog("OutboxRetry", "", adminRole, messageId);
+  kickOutbox();
+  return { status: "success", message: "បានបញ្ជូនសារម្តងទៀត។" };
+}
+
+function getMatchingRoutes(request, group) {
+  return TELEGRAM_ROUTES.filter(
+    (route) =>
+      (!route.leaveTypes || route.leaveTypes.includes(request.leaveType)) &&
+      (!route.groups || route.groups.includes(group))
+  );
+}
+
+const isApprovalMessage = (message) =>
+  message.status === "sent" && Boolean(message.keyboard && message.messageId);
+
+// Appends `note` to every approval message already sent for a request (in all approvers'
+// chats) and replaces their buttons with `keyboard`, or removes them. Only action-bot
+// messages carry buttons, so the action bot can edit all of them. Like editTelegramMessage
+// this is best effort: the decision it reports has already been saved. With `supersede` the
+// messages are marked "superseded" afterwards, so later updates leave the note in place.
+async function updateApprovalMessages(
+  requestId,
+  note,
+  keyboard = null,
+  { supersede = false } = {}
+) {
+  let messages = [];
+  try {
+    messages = await leaveStore.listOutboxMessagesForRequest(requestId);
+  } catch (e) {
+    console.error(`updateApprovalMessages Error: ${e.message}`);
+  }
+  for (const message of messages.filter(isApprovalMessage)) {
+    await editTelegramMessage(
+      message.chatId,
+      parseInt(message.messageId, 10),
+      `${message.text}\n\n${note}`,
+      keyboard
+    );
+    if (supersede) {
+      message.status = "superseded";
+      await leaveStore.saveOutboxMessage(message).catch((e) => {
+        console.error(`saveOutboxMessage Error: ${e.message}`);
+      });
+    }
+  }
+}
+
+async function isTrackedApprovalMessage(requestId, chatId, messageId) {
+  const messages = await leaveStore
+    .listOutboxMessagesForRequest(requestId)
+    .catch(() => []);
+  return messages.some(
+    (message) =>
+      isApprovalMessage(message) &&
+      message.chatId === String(chatId) &&
+      message.messageId === String(messageId)
+  );
+}
+
+const describeApprovalSteps = (history) =>
+  history
+    .map((entry) => `✅ <b>${entry.label}:</b> ${escapeHtml(entry.approver)}`)
+    .join("\n");
+
+// --- CORE LOGIC FUNCTIONS (Adapted for Node.js) ---
+
+async function checkEmployeeId(employeeId) {
+  if (!employeeId || !employeeId.trim()) {
+    return { status: "error", message: "សូម​បញ្ចូល​អត្តលេខ។" };
+  }
+  const trimmedEmployeeId = employeeId.trim();
+
+  try {
+    const employeeMap = await getEmployeeMap();
+    const employeeInfo = employeeMap[trimmedEmployeeId];
+    return employeeInfo
+      ? {
+          status: "success",
+          name: employeeInfo.name,
+          photoUrl: employeeInfo.photoUrl,
+        }
+      : { status: "error", message: "អត្តលេខមិនត្រឹមត្រូវ។" };
+  } catch (e) {
+    console.error(`checkEmployeeId Error: ${e.stack}`);
+    return { status: "error", message: `System Error: ${e.message}` };
+  }
+}
+
+async function getEmployeeMap() {
+  let employeeMap = scriptCache.get(CACHE_EMPLOYEE_KEY);
+  if (!employeeMap) {
+    employeeMap = await leaveStore.loadEmployees();
+    scriptCache.set(CACHE_EMPLOYEE_KEY, employeeMap);
+  }
+  return employeeMap;
+}
+
+async function getUserStatus(employeeId) {
+  try {
+    const requests = await leaveStore.listRequestsByEmployee(employeeId);
+    let latestRequest = { status: "Clear", timestamp: 0 };
+    for (const request of requests.slice().reverse()) {
+      // Prioritize Pending and Approved-Unchecked-In
+      if (
+        request.status === "Pending" ||
+        (request.status === "Approved" && !request.checkInTimestamp)
+      ) {
+        return { status: request.status, requestId: request.requestId };
+      }
+      // If we find any other status, it's the latest, but keep searching for priority ones.
+      const time = new Date(request.timestamp).getTime();
+      if (time > latestRequest.timestamp) {
+        latestRequest = {
+          status:
+            request.status === "Approved"
+              ? request.adminNote
+                ? "AdminCheckedIn"
+                : "CheckedIn"
+              : request.status,
+          requestId: request.requestId,
+          timestamp: time,
+          reason: request.adminNote || "",
+        };
+      }
+    }
+    return latestRequest;
+  } catch (e) {
+    console.error(`getUserStatus Error: ${e.stack}`);
+    return { status: "Error", message: e.message };
+  }
+}
+
+async function getMonthlyLeaveStats(employeeId) {
+  // This function remains largely for notification purposes.
+  const now = new Date();
+  const currentMonth = now.getMonth();
+  const currentYear = now.getFullYear();
+  let stats = {
+    totalRequests: 0,
+    totalDays: 0,
+    permissionCount: 0,
+    leaveCount: 0,
+  };
+
+  const requests = await leaveStore.listRequestsByEmployee(employeeId);
+  requests.forEach((request) => {
+    const requestDate = new Date(request.startDate);
+    if (
+      request.status === "Approved" &&
+      requestDate.getMonth() === currentMonth &&
+      requestDate.getFullYear() === currentYear
+    ) {
+      stats.totalRequests++;
+      stats.totalDays += getNumericDayValue(request.numberOfDays);
+      if (request.leaveType === PERMISSION_SHEET_NAME) stats.permissionCount++;
+      else if (request.leaveType === LEAVE_SHEET_NAME) stats.leaveCount++;
+    }
+  });
+  return stats;
+}
+
+// Returns the [start, end) slot range a request occupies, or null if it has no usable date.
+// It runs from startDate to endDate; a ".5" duration leaves only the morning of the last
+// day, so "1.5" covers the whole start day plus the next morning. Rows without an end date
+// fall back to counting the duration forward from the start.
+function getLeaveInterval(request) {
+  const start = parseDateOnly(request.startDate);
+  if (!start) return null;
+  const startDay =
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate()) / 86400000;
+  if (HALF_DAY_SLOTS[request.numberOfDays] !== undefined) {
+    const slot =
+      startDay * SLOTS_PER_DAY + HALF_DAY_SLOTS[request.numberOfDays];
+    return { start: slot, end: slot + 1 };
+  }
+
+  const days = getNumericDayValue(request.numberOfDays);
+  const hasHalfDay = days % 1 >= 0.5;
+  const end = parseDateOnly(request.endDate);
+  const endDay = end
+    ? Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) / 86400000
+    : null;
+  if (endDay !== null && endDay >= startDay) {
+    return {
+      start: startDay * SLOTS_PER_DAY,
+      end: hasHalfDay
+        ? endDay * SLOTS_PER_DAY + 1
+        : (endDay + 1) * SLOTS_PER_DAY,
+    };
+  }
+  const fullDays = Math.max(Math.floor(days), 1);
+  return {
+    start: startDay * SLOTS_PER_DAY,
+    end: (startDay + fullDays) * SLOTS_PER_DAY + (hasHalfDay ? 1 : 0),
+  };
+}
+
+// Whether a date ("YYYY-MM-DD") inside a request counts towards its duration.
+function countsAsLeaveDay(leaveType, dateKey, holidays) {
+  if (!WORKING_DAY_LEAVE_TYPES.includes(leaveType)) return true;
+  return (
+    WORKING_WEEKDAYS.includes(parseDateOnly(dateKey).getDay()) &&
+    holidays[dateKey] === undefined
+  );
+}
+
+// Finds a pending or approved request of any leave type whose dates overlap the new one.
+async function findOverlappingRequest(leaveDetails) {
+  const interval = getLeaveInterval(leaveDetails);
+  if (!interval) return null;
+  const requests = await leaveStore.listRequestsByEmployee(
+    (leaveDetails.employeeId || "").toString().trim()
+  );
+  return (
+    requests.find((request) => {
+      if (
+        request.requestId === leaveDetails.requestId ||
+        (request.status !== "Pending" && request.status !== "Approved")
+      ) {
+        return false;
+      }
+      const existing = getLeaveInterval(request);
+      return (
+        existing &&
+        existing.start < interval.end &&
+        interval.start < existing.end
+      );
+    }) || null
+  );
+}
+
+const buildOverlapMessage = (employeeId, request) =>
+  `អត្តលេខ ${employeeId} មានសំណើ '${request.leaveType}' (${request.startDate}${
+    request.endDate && request.endDate !== request.startDate
+      ? ` ដល់ ${request.endDate}`
+      : ""
+  }, ${request.numberOfDays}) ដែលត្រួតគ្នានឹងកាលបរិច្ឆេទនេះរួចហើយ។`;
+
+function formatMonthlyStats(stats) {
+  const khmerMonthYear = new Date().toLocaleString("km-KH", {
+    month: "long",
+    year: "numeric",
+  });
+  let message = `<b>📊 ប្រវត្តិសុំច្បាប់ (បានអនុម័ត) ${khmerMonthYear}</b>\n`;
+  message += `------------------------------------\n`;
+  message += `<b>- ចំនួនដងសរុប:</b> ${stats.totalRequests} ដង\n`;
+  message += `<b>- ចំនួនថ្ងៃសរុប:</b> ${stats.totalDays} ថ្ងៃ\n`;
+  message += `<b>- ច្បាប់ចេញក្រៅ:</b> ${stats.permissionCount} ដង\n`;
+  message += `<b>- ច្បាប់ឈប់សម្រាក:</b> ${stats.leaveCount} ដង`;
+  return message;
+}
+
+// --- LEAVE BALANCE FUNCTIONS ---
+
+function getLeaveQuota(group, leaveType) {
+  const groupQuotas = LEAVE_QUOTAS[group] || {};
+  return groupQuotas[leaveType] || (LEAVE_QUOTAS.default || {})[leaveType];
+}
+
+const getQuotaAmount = (unit, numberOfDays) =>
+  unit === "requests" ? 1 : getNumericDayValue(numberOfDays);
+
+// Approved and still-pending requests both count against the period the request starts in.
+// `asOf` picks the month/year to report (defaults to now).
+async function getLeaveBalance(employeeId, options = {}) {
+  const trimmedEmployeeId = (employeeId || "").toString().trim();
+  const employeeMap = await getEmployeeMap();
+  const employee = employeeMap[trimmedEmployeeId];
+  if (!employee) {
+    return { status: "error", message: "អត្តលេខមិនត្រឹមត្រូវ។" };
+  }
+  const group = employee.group || "default";
+  const asOf = options.asOf || new Date();
+  const requests = await leaveStore.listRequestsByEmployee(trimmedEmployeeId);
+  const leaveTypes = options.leaveType ? [options.leaveType] : ALL_LEAVE_SHEETS;
+
+  const balances = {};
+  leaveTypes.forEach((leaveType) => {
+    const quota = getLeaveQuota(group, leaveType);
+    if (!quota) return;
+    const unit = quota.unit || "days";
+    const periods = ["monthly", "annual"]
+      .filter((period) => quota[period] !== undefined)
+      .map((period) => {
+        let used = 0;
+        let pending = 0;
+        requests.forEach((request) => {
+          if (
+            request.leaveType !== leaveType ||
+            request.requestId === options.excludeRequestId ||
+            (request.status !== "Approved" && request.status !== "Pending")
+          ) {
+            return;
+          }
+          const start = parseDateOnly(request.startDate);
+          if (!start || start.getFullYear() !== asOf.getFullYear()) return;
+          if (period === "monthly" && start.getMonth() !== asOf.getMonth()) {
+            return;
+          }
+          const amount = getQuotaAmount(unit, request.numberOfDays);
+          if (request.status === "Approved") used += amount;
+          else pending += amount;
+        });
+        return {
+          period,
+          limit: quota[period],
+          used,
+          pending,
+          remaining: quota[period] - used - pending,
+        };
+      });
+    balances[leaveType] = {
+      unit,
+      policy: quota.policy || LEAVE_QUOTA_POLICY,
+      periods,
+    };
+  });
+  return { status: "success", group, balances };
+}
+
+// Returns { exceeded, blocked, message } for a leave request about to be submitted.
+async function checkLeaveQuota(leaveDetails) {
+  try {
+    const balance = await getLeaveBalance(leaveDetails.employeeId, {
+      leaveType: leaveDetails.leaveType,
+      asOf: parseDateOnly(leaveDetails.startDate) || new Date(),
+      excludeRequestId: leaveDetails.requestId,
+    });
+    const typeBalance =
+      balance.status === "success"
+        ? balance.balances[leaveDetails.leaveType]
+        : null;
+    if (!typeBalance) return { exceeded: false };
+
+    const amount = getQuotaAmount(typeBalance.unit, leaveDetails.numberOfDays);
+    const over = typeBalance.periods.find(
+      (period) => amount > period.remaining
+    );
+    if (!over) return { exceeded: false };
+
+    const unitLabel = QUOTA_UNIT_LABELS[typeBalance.unit];
+    return {
+      exceeded: true,
+      blocked: typeBalance.policy === "block",
+      message: `លើសចំនួនច្បាប់${
+        QUOTA_PERIOD_LABELS[over.period]
+      }: នៅសល់ ${Math.max(
+        over.remaining,
+        0
+      )} ${unitLabel} ប៉ុន្តែស្នើ ${amount} ${unitLabel}។`,
+    };
+  } catch (e) {
+    console.error(`checkLeaveQuota Error: ${e.stack}`);
+    return { exceeded: false };
+  }
+}
+
+// --- ADMIN DASHBOARD FUNCTIONS ---
+
+// 'ច្បាប់ចេញក្រៅ' is due back at a time of day; the other leave types are due back by day.
+function getExpectedReturnTime(request) {
+  const isPermission = request.leaveType === PERMISSION_SHEET_NAME;
+  const returnTime = parseDateOnly(
+    isPermission ? request.startDate : request.endDate || request.startDate
+  );
+  if (!returnTime) return null;
+  if (isPermission) {
+    returnTime.setHours(
+      PERMISSION_RETURN_HOURS[request.numberOfDays] || DEFAULT_RETURN_HOUR,
+      0,
+      0,
+      0
+    );
+  } else {
+    returnTime.setHours(23, 59, 59, 999);
+  }
+  return returnTime;
+}
+
+function getDashboardStatus(request, now = new Date()) {
+  if (request.status !== "Approved") return request.status;
+  if (request.checkInTimestamp) return "CheckedIn";
+  const expectedReturn = getExpectedReturnTime(request);
+  if (expectedReturn && now > expectedReturn) {
+    return request.leaveType === PERMISSION_SHEET_NAME
+      ? "OverdueTime"
+      : "OverdueDay";
+  }
+  return "Approved";
+}
+
+function requestCoversDate(request, dateKey) {
+  const start = parseDateOnly(request.startDate);
+  if (!start) return false;
+  const end = parseDateOnly(request.endDate) || start;
+  return toDateKey(start) <= dateKey && dateKey <= toDateKey(end);
+}
+
+async function getAdminDashboardData(options = {}) {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 12, 1), 100);
+  const filter = options.filter || "All";
+  const dateFilter = options.dateFilter || "all";
+  const now = new Date();
+  const todayKey = toDateKey(now);
+
+  const [allRequests, employeeMap] = await Promise.all([
+    leaveStore.listRequests(),
+    getEmployeeMap().catch((e) => {
+      console.error(`getEmployeeMap Error: ${e.message}`);
+      return {};
+    }),
+  ]);
+
+  const withStatus = allRequests.map((request) => ({
+    ...request,
+    dashboardStatus: getDashboardStatus(request, now),
+  }));
+
+  const uniqueDates = [
+    ...new Set(
+      withStatus
+        .map((request) => parseDateOnly(request.startDate))
+        .filter(Boolean)
+        .map(toDateKey)
+    ),
+  ].sort((a, b) => b.localeCompare(a));
+
+  const dateFiltered = withStatus.filter((request) => {
+    if (dateFilter === "all") return true;
+    if (dateFilter === "today_and_pending") {
+      const submitted = new Date(request.timestamp);
+      return (
+        request.status === "Pending" ||
+        request.dashboardStatus === "OverdueTime" ||
+        request.dashboardStatus === "OverdueDay" ||
+        (!isNaN(submitted.getTime()) && toDateKey(submitted) === todayKey) ||
+        requestCoversDate(request, todayKey)
+      );
+    }
+    return requestCoversDate(request, dateFilter);
+  });
+
+  const stats = {
+    total: dateFiltered.length,
+    pending: 0,
+    approved: 0,
+    rejected: 0,
+    checkedIn: 0,
+    overdueTime: 0,
+    overdueDay: 0,
+  };
+  const statKeys = {
+    Pending: "pending",
+    Approved: "approved",
+    Rejected: "rejected",
+    CheckedIn: "checkedIn",
+    OverdueTime: "overdueTime",
+    OverdueDay: "overdueDay",
+  };
+  dateFiltered.forEach((request) => {
+    const key = statKeys[request.dashboardStatus];
+    if (key) stats[key]++;
+  });
+
+  const filtered = dateFiltered
+    .filter((request) => filter === "All" || request.dashboardStatus === filter)
+    .sort(
+      (a, b) =>
+        (new Date(b.timestamp).getTime() || 0) -
+        (new Date(a.timestamp).getTime() || 0)
+    );
+
+  const totalItems = filtered.length;
+  const totalPages = Math.max(Math.ceil(totalItems / limit), 1);
+  const requests = filtered
+    .slice((page - 1) * limit, page * limit)
+    .map(({ sheet, row, ...request }) => ({
+      ...withFileLinks(request),
+      photoUrl: (employeeMap[request.employeeId] || {}).photoUrl || "",
+      locationCheck: parseLocationCheck(request.locationCheck),
+      checkInLocationCheck: parseLocationCheck(request.checkInLocationCheck),
+      paymentStatus: getPaymentStatus(request),
+      paymentReview: getPaymentReview(request),
+      pendingApprovalStep: getPendingApprovalStep(request),
+      returnStatus: request.checkInTimestamp
+        ? classifyReturn(request, new Date(request.checkInTimestamp)).status
+        : "",
+    }));
+
+  return {
+    requests,
+    pagination: { page, limit, totalItems, totalPages },
+    uniqueDates,
+    stats,
+  };
+}
+
+// The full record shown to an employee or admin. Photo references become signed links only
+// with withFiles; an employee ID alone is not proof enough to see selfies and documents.
+function buildRequestDetails(request, { withFiles = false } = {}) {
+  const fileLink = (ref) => (withFiles ? toFileLink(ref) : "");
+  return {
+    requestId: request.requestId,
+    timestamp: request.timestamp,
+    employeeId: request.employeeId,
+    employeeName: request.employeeName,
+    leaveType: request.leaveType,
+    startDate: request.startDate,
+    endDate: request.endDate,
+    numberOfDays: request.numberOfDays,
+    reason: request.reason,
+    status: request.status,
+    approver: request.approver,
+    approvalTimestamp: request.approvalTimestamp,
+    selfiePhotoUrl: fileLink(request.selfiePhotoUrl),
+    documentPhotoUrls: withFiles
+      ? parseDocumentRefs(request.documentPhotoUrl).map(fileLink)
+      : [],
+    paymentReceiptUrl: fileLink(request.paymentReceiptUrl),
+    paymentStatus: getPaymentStatus(request),
+    paymentAmount: request.paymentAmount,
+    paymentReview: getPaymentReview(request),
+    locationLink: request.locationLink,
+    locationCheck: parseLocationCheck(request.locationCheck),
+    checkInTimestamp: request.checkInTimestamp,
+    checkInPhotoUrl: fileLink(request.checkInPhotoUrl),
+    checkInLocationLink: request.checkInLocationLink,
+    checkInLocationCheck: parseLocationCheck(request.checkInLocationCheck),
+    returnStatus: request.checkInTimestamp
+      ? classifyReturn(request, new Date(request.checkInTimestamp)).status
+      : "",
+    adminNote: request.adminNote,
+    approvalStep: getPendingApprovalStep(request),
+    approvalHistory: getApprovalHistory(request),
+    changeHistory: getChangeHistory(request),
+  };
+}
+
+async function getEmployeeRequestHistory(employeeId, options = {}) {
+  const trimmedEmployeeId = (employeeId || "").toString().trim();
+  if (!trimmedEmployeeId) {
+    return { status: "error", message: "សូម​បញ្ចូល​អត្តលេខ។" };
+  }
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 50);
+
+  const requests = (await leaveStore.listRequestsByEmployee(trimmedEmployeeId))
+    .slice()
+    .sort(
+      (a, b) =>
+        (new Date(b.timestamp).getTime() || 0) -
+        (new Date(a.timestamp).getTime() || 0)
+    );
+  const totalPages = Math.max(Math.ceil(requests.length / limit), 1);
+  return {
+    status: "success",
+    requests: requests
+      .slice((page - 1) * limit, page * limit)
+      .map((request) =>
+        buildRequestDetails(request, { withFiles: Boolean(options.withFiles) })
+      ),
+    pagination: { page, limit, totalItems: requests.length, totalPages },
+  };
+}
+
+// --- CHECK-IN FUNCTIONS ---
+
+function classifyReturn(request, checkInTime) {
+  const expectedReturn = getExpectedReturnTime(request);
+  if (!expectedReturn || checkInTime <= expectedReturn) {
+    return { status: "OnTime", label: "ទាន់ពេល" };
+  }
+  const lateMinutes = Math.ceil((checkInTime - expectedReturn) / 60000);
+  if (request.leaveType === PERMISSION_SHEET_NAME && lateMinutes < 24 * 60) {
+    const hours = Math.floor(lateMinutes / 60);
+    const minutes = lateMinutes % 60;
+    return {
+      status: "LateHours",
+      lateMinutes,
+      label: `យឺត ${hours} ម៉ោង ${minutes} នាទី`,
+    };
+  }
+  const lateDays = Math.ceil(lateMinutes / (24 * 60));
+  return { status: "LateDays", lateDays, label: `យឺត ${lateDays} ថ្ងៃ` };
+}
+
+// Like cancel/amend, the employee must send the request's access token; an admin session
+// also works.
+async function submitCheckIn(checkInDetails, { isAdmin = false } = {}) {
+  const { requestId, employeeId, accessToken, checkInImageData } =
+    checkInDetails;
+  if (!requestId) {
+    return { status: "error", message: "No Request ID provided." };
+  }
+  if (!employeeId || !String(employeeId).trim()) {
+    return { status: "error", message: "សូម​បញ្ចូល​អត្តលេខ។" };
+  }
+  if (!isBase64Image(checkInImageData)) {
+    return { status: "error", message: "សូមថតរូបសាមីខ្លួនជាមុនសិន។" };
+  }
+  const decoded = decodeImageData(checkInImageData);
+  if (decoded.error) return { status: "error", message: decoded.error };
+  const location = readLocation(checkInDetails);
+  if (!location) return { status: "error", message: "ទីតាំងមិនត្រឹមត្រូវ។" };
+
+  const request = await findOwnRequest(requestId, employeeId, {
+    accessToken,
+    isAdmin,
+  });
+  if (!request) return { status: "error", message: "Request ID not found." };
+
+  if (request.status !== "Approved") {
+    return { status: "error", message: "សំណើនេះមិនទាន់ត្រូវបានអនុម័តទេ។" };
+  }
+  if (request.checkInTimestamp) {
+    return { status: "error", message: "អ្នកបានបញ្ជាក់ការចូលមកវិញរួចហើយ។" };
+  }
+  const enforceGeofence =
+    REQUIRE_GEOFENCE_CHECKIN && request.leaveType === PERMISSION_SHEET_NAME;
+  const locationCheck = checkGeofence(location, { strict: enforceGeofence });
+  if (enforceGeofence && locationCheck.verdict !== "inside") {
+    return {
+      status: "error",
+      message:
+        locationCheck.verdict === "outside"
+          ? `អ្នកនៅឆ្ងាយពីបរិវេណ ${locationCheck.geofence} (${locationCheck.distance}m)។ សូមបញ្ជាក់ការចូលមកវិញនៅពេលអ្នកមកដល់។`
+          : "មិនអាចផ្ទៀងផ្ទាត់ទីតាំងរបស់អ្នកបានទេ។ សូមបើក Location ហើយព្យាយាមម្តងទៀត។",
+    };
+  }
+
+  const checkInTime = new Date();
+  const photoRef = await saveUploadedImage(
+    checkInImageData,
+    `CheckIn_${request.employeeId}_${requestId}`,
+    CHECKIN_DRIVE_FOLDER_ID
+  );
+  if (!photoRef) {
+    return { status: "error", message: "មិនអាចរក្សាទុករូបថតបានទេ។" };
+  }
+  const locationLink = buildLocationLink(location.latitude, location.longitude);
+
+  await leaveStore.updateRequest(request, {
+    checkInTimestamp: checkInTime.toISOString(),
+    checkInPhotoUrl: photoRef,
+    checkInLocationLink: locationLink,
+    checkInLocationCheck: JSON.stringify(locationCheck),
+  });
+  publishRequestEvent("checkedIn", request.requestId, request.status);
+
+  const returnStatus = classifyReturn(request, checkInTime);
+  let notificationMessage = `<b>${
+    returnStatus.status === "OnTime" ? "🏠" : "⚠️"
+  } បានចូលមកវិញ</b>\n`;
+  notificationMessage += `------------------------------------\n`;
+  notificationMessage += `<b>ឈ្មោះ:</b> ${escapeHtml(
+    request.employeeName
+  )} (ID: ${request.employeeId})\n`;
+  notificationMessage += `<b>ប្រភេទច្បាប់:</b> ${request.leaveType}\n`;
+  notificationMessage += `<b>Request ID:</b> ${requestId}\n`;
+  notificationMessage += `<b>ម៉ោងចូល:</b> ${checkInTime.toLocaleString(
+    "en-GB"
+  )}\n`;
+  notificationMessage += `<b>ស្ថានភាព:</b> ${returnStatus.label}\n`;
+  notificationMessage += `<b>រូបថត:</b> <a href="${escapeHtml(
+    toFileLink(photoRef, { ttl: TELEGRAM_FILE_LINK_TTL, absolute: true })
+  )}">មើលរូបថត</a>`;
+  notificationMessage += locationLink
+    ? `\n<b>📍 ទីតាំង:</b> <a href="${escapeHtml(
+        locationLink
+      )}">ចុចមើលទីតាំង</a>`
+    : `\n<b>📍 ទីតាំង:</b> មិនមាន`;
+  notificationMessage += `\n${formatLocationCheck(locationCheck)}`;
+  await sendTelegramNotification(notificationMessage, null, request);
+
+  return {
+    status: "success",
+    returnStatus: returnStatus.status,
+    message: `បានបញ្ជាក់ការចូលមកវិញ (${returnStatus.label})`,
+  };
+}
+
+// --- AUTHENTICATION FUNCTIONS ---
+
+// Stored as "scrypt$<salt>$<hash>"; generate one with `node code.js hash-password <password>`.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+async function getAdminAccounts() {
+  let accounts = scriptCache.get(CACHE_ADMIN_ACCOUNTS_KEY);
+  if (!accounts) {
+    accounts = await leaveStore.loadAdminAccounts();
+    scriptCache.set(
+      CACHE_ADMIN_ACCOUNTS_KEY,
+      accounts,
+      ADMIN_ACCOUNTS_CACHE_TTL
+    );
+  }
+  return accounts;
+}
+
+async function findAdminByTelegramId(telegramUserId) {
+  if (!telegramUserId) return null;
+  const accounts = await getAdminAccounts();
+  return (
+    Object.values(accounts).find(
+      (account) => account.telegramUserId === String(telegramUserId)
+    ) || null
+  );
+}
+
+function getSessionToken(req) {
+  const cookies = (req.headers.cookie || "").split(";");
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === SESSION_COOKIE_NAME)
+      return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function createSession(req, res, account) {
+  const token = crypto.randomBytes(32).toString("hex");
+  sessionCache.set(token, {
+    username: account.username,
+    displayName: account.displayName,
+  });
+  res.cookie(SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    maxAge: sessionCache.options.stdTTL * 1000,
+  });
+}
+
+// Express middleware for every admin endpoint; sets req.admin to the logged-in identity.
+function requireAdmin(req, res, next) {
+  const session = getAdminSession(req);
+  if (!session) {
+    return res
+      .status(401)
+      .json({ status: "error", message: "សូមចូលប្រើប្រាស់ជាមុនសិន។" });
+  }
+  req.admin = session;
+  next();
+}
+
+// For endpoints open to employees that show more to a logged-in admin; null if not logged in.
+function getAdminSession(req) {
+  const token = getSessionToken(req);
+  const session = token ? sessionCache.get(token) : null;
+  if (session) sessionCache.ttl(token); // Sliding expiry
+  return session || null;
+}
+
+// Failed attempts are counted per username and client address, so someone who only knows a
+// username cannot lock the real admin out from elsewhere. A one-time code also has its own
+// count across all addresses and is voided after MAX_LOGIN_CODE_ATTEMPTS wrong guesses.
+async function loginAdmin(username, password, code, clientIp = "") {
+  const normalizedUsername = (username || "").toString().trim().toLowerCase();
+  const attemptsKey = `login_attempts_${normalizedUsername}_${clientIp}`;
+  const failure = {
+    status: "error",
+    message: "ឈ្មោះអ្នកប្រើ ពាក្យសម្ងាត់ ឬលេខកូដមិនត្រឹមត្រូវ។",
+  };
+  if (!normalizedUsername) return failure;
+
+  const attempts = scriptCache.get(attemptsKey) || 0;
+  if (attempts >= MAX_LOGIN_ATTEMPTS) {
+    return {
+      status: "error",
+      message: "ព្យាយាមច្រើនដងពេក។ សូមរង់ចាំ 15 នាទី។",
+    };
+  }
+
+  const accounts = await getAdminAccounts();
+  const account = accounts[normalizedUsername];
+  let isValid = false;
+  if (account && code) {
+    const codeKey = `login_code_${normalizedUsername}`;
+    const codeAttemptsKey = `login_code_attempts_${normalizedUsername}`;
+    const issuedCode = scriptCache.get(codeKey);
+    isValid = Boolean(issuedCode) && issuedCode === String(code).trim();
+    const codeAttempts = (scriptCache.get(codeAttemptsKey) || 0) + 1;
+    if (isValid || codeAttempts >= MAX_LOGIN_CODE_ATTEMPTS) {
+      scriptCache.del(codeKey);
+      scriptCache.del(codeAttemptsKey);
+    } else if (issuedCode) {
+      scriptCache.set(codeAttemptsKey, codeAttempts, LOGIN_CODE_TTL);
+    }
+  } else if (account && password) {
+    isValid = verifyPassword(password, account.passwordHash);
+  }
+
+  if (!isValid) {
+    scriptCache.set(attemptsKey, attempts + 1, LOGIN_LOCKOUT_TTL);
+    return failure;
+  }
+  scriptCache.del(attemptsKey);
+  await appendAuditLog(
+    "Login",
+    "",
+    account.displayName,
+    code ? "code" : "password"
+  );
+  return { status: "success", account };
+}
+
+async function sendLoginCode(username, clientIp = "") {
+  // Same answer whether or not the account exists, so usernames cannot be probed.
+  const response = {
+    status: "success",
+    message: "ប្រសិនបើគណនីមាន Telegram លេខកូដត្រូវបានផ្ញើទៅហើយ។",
+  };
+  const normalizedUsername = (username || "").toString().trim().toLowerCase();
+  // Each call may message an admin's Telegram, so calls are spaced out per username and
+  // per client address whether or not a message was actually sent.
+  const userCooldownKey = `login_code_sent_${normalizedUsername}`;
+  const ipCooldownKey = `login_code_sent_ip_${clientIp}`;
+  if (scriptCache.get(userCooldownKey) || scriptCache.get(ipCooldownKey)) {
+    return response;
+  }
+  scriptCache.set(userCooldownKey, true, LOGIN_CODE_RESEND_COOLDOWN);
+  scriptCache.set(ipCooldownKey, true, LOGIN_CODE_RESEND_COOLDOWN);
+
+  const accounts = await getAdminAccounts();
+  const account = accounts[normalizedUsername];
+  if (account && account.telegramUserId) {
+    // A live code is sent again rather than replaced, so asking for new codes does not
+    // reset its guess count; voided codes can only be replaced a few times.
+    const codeKey = `login_code_${account.username}`;
+    const issuedKey = `login_codes_issued_${account.username}`;
+    const issued = scriptCache.get(issuedKey) || 0;
+    let code = scriptCache.get(codeKey);
+    if (!code && issued < MAX_LOGIN_CODES_ISSUED) {
+      code = String(crypto.randomInt(100000, 1000000));
+      scriptCache.set(codeKey, code, LOGIN_CODE_TTL);
+      scriptCache.set(issuedKey, issued + 1, LOGIN_LOCKOUT_TTL);
+    }
+    if (code) {
+      await sendTelegramMessage(
+        account.telegramUserId,
+        `<b>🔐 លេខកូដចូលផ្ទាំងគ្រប់គ្រង:</b> <code>${code}</code>\nលេខកូដនេះមានសុពលភាព 5 នាទី។`
+      );
+    }
+  }
+  return response;
+}
+
+// --- ADMIN ACTION FUNCTIONS ---
+
+async function adminSubmitCheckIn(requestId, adminRole) {
+  if (!requestId) {
+    return { status: "error", message: "No Request ID provided." };
+  }
+  const request = await leaveStore.findRequest(requestId);
+  if (!request) return { status: "error", message: "Request ID not found." };
+
+  if (request.status !== "Approved") {
+    return { status: "error", message: "សំណើនេះមិនទាន់ត្រូវបានអនុម័តទេ។" };
+  }
+  if (request.checkInTimestamp) {
+    return { status: "error", message: "បុគ្គលិកនេះបានចូលមកវិញរួចហើយ។" };
+  }
+
+  const checkInTime = new Date();
+  const note = `បញ្ជាក់ដោយ ${adminRole}`;
+  await leaveStore.updateRequest(request, {
+    checkInTimestamp: checkInTime.toISOString(),
+    adminNote: note, // Marks the request as AdminCheckedIn
+  });
+  publishRequestEvent("checkedIn", requestId, request.status);
+  await appendAuditLog("AdminCheckIn", requestId, adminRole);
+
+  const returnStatus = classifyReturn(request, checkInTime);
+  await sendTelegramNotification(
+    `<b>🏠 បានចូលមកវិញ (បញ្ជាក់ដោយអ្នកគ្រប់គ្រង)</b>\n------------------------------------\n<b>ឈ្មោះ:</b> ${escapeHtml(
+      request.employeeName
+    )} (ID: ${
+      request.employeeId
+    })\n<b>Request ID:</b> ${requestId}\n<b>ស្ថានភាព:</b> ${
+      returnStatus.label
+    }\n<b>បញ្ជាក់ដោយ:</b> ${escapeHtml(adminRole)}`,
+    null,
+    request
+  );
+  return { status: "success", message: "បានបញ្ជាក់ការចូលមកវិញ។" };
+}
+
+// Soft delete: the row is moved to the archive sheet with who/when/why so it can be restored.
+async function deleteLeaveRequest(requestId, adminRole, reason = "") {
+  if (!requestId) {
+    return { status: "error", message: "No Request ID provided." };
+  }
+  const request = await leaveStore.findRequest(requestId);
+  if (!request) return { status: "error", message: "Request ID not found." };
+
+  await leaveStore.archiveRequest(request, {
+    deletedAt: new Date().toISOString(),
+    deletedBy: adminRole,
+    deleteReason: reason,
+  });
+  await appendAuditLog("Delete", requestId, adminRole, reason);
+  publishRequestEvent("deleted", requestId, request.status);
+
+  return { status: "success", message: "បានលុបសំណើ (អាចស្តារវិញបាន)។" };
+}
+
+async function restoreLeaveRequest(requestId, adminRole) {
+  if (!requestId) {
+    return { status: "error", message: "No Request ID provided." };
+  }
+  const restored = await leaveStore.restoreRequest(requestId);
+  if (!restored) {
+    return { status: "error", message: "Request ID not found in archive." };
+  }
+  await appendAuditLog("Restore", requestId, adminRole);
+  publishRequestEvent("restored", requestId);
+
+  return { status: "success", message: "បានស្តារសំណើវិញ។" };
+}
+
+// --- REPORT FUNCTIONS ---
+
+// `month` is "YYYY-MM"; `from`/`to` are "YYYY-MM-DD" and win over `month`. Defaults to this month.
+function resolveReportRange(options = {}) {
+  let from = parseDateOnly(options.from);
+  let to = parseDateOnly(options.to);
+  if (!from || !to) {
+    const monthMatch = String(options.month || "").match(/^(\d{4})-(\d{2})$/);
+    const now = new Date();
+    const year = monthMatch ? +monthMatch[1] : now.getFullYear();
+    const month = monthMatch ? +monthMatch[2] - 1 : now.getMonth();
+    from = new Date(year, month, 1);
+    to = new Date(year, month + 1, 0);
+  }
+  return { from, to };
+}
+
+// One row per employee; a request is counted in the range its start date falls in.
+async function buildLeaveSummaryReport(options = {}) {
+  const { from, to } = resolveReportRange(options);
+  const now = new Date();
+  const [requests, employeeMap] = await Promise.all([
+    leaveStore.listRequests(),
+    getEmployeeMap().catch(() => ({})),
+  ]);
+
+  const summaries = {};
+  requests.forEach((request) => {
+    const start = parseDateOnly(request.startDate);
+    if (!start || start < from || start > to) return;
+    if (!summaries[request.employeeId]) {
+      const employee = employeeMap[request.employeeId];
+      summaries[request.employeeId] = {
+        employeeId: request.employeeId,
+        employeeName: employee ? employee.name : request.employeeName,
+        byType: {},
+        approvedCount: 0,
+        approvedDays: 0,
+        pending: 0,
+        rejected: 0,
+        lateReturns: 0,
+        notReturned: 0,
+      };
+    }
+    const summary = summaries[request.employeeId];
+
+    if (request.status === "Pending") summary.pending++;
+    if (request.status === "Rejected") summary.rejected++;
+    if (request.status !== "Approved") return;
+
+    const days = getNumericDayValue(request.numberOfDays);
+    const typeSummary = summary.byType[request.leaveType] || {
+      count: 0,
+      days: 0,
+    };
+    typeSummary.count++;
+    typeSummary.days += days;
+    summary.byType[request.leaveType] = typeSummary;
+    summary.approvedCount++;
+    summary.approvedDays += days;
+
+    if (request.checkInTimestamp) {
+      const returnStatus = classifyReturn(
+        request,
+        new Date(request.checkInTimestamp)
+      );
+      if (returnStatus.status !== "OnTime") summary.lateReturns++;
+    } else if (getDashboardStatus(request, now).startsWith("Overdue")) {
+      summary.notReturned++;
+    }
+  });
+
+  const header = [
+    "អត្តលេខ",
+    "ឈ្មោះ",
+    ...ALL_LEAVE_SHEETS.reduce(
+      (columns, leaveType) => [
+        ...columns,
+        `${leaveType} (ដង)`,
+        `${leaveType} (ថ្ងៃ)`,
+      ],
+      []
+    ),
+    "សរុប (ដង)",
+    "សរុប (ថ្ងៃ)",
+    "កំពុងរង់ចាំ",
+    "បានបដិសេធ",
+    "ចូលមកវិញយឺត",
+    "មិនទាន់ចូលមកវិញ",
+  ];
+  const rows = Object.values(summaries)
+    .sort((a, b) => a.employeeId.localeCompare(b.employeeId))
+    .map((summary) => [
+      summary.employeeId,
+      summary.employeeName,
+      ...ALL_LEAVE_SHEETS.reduce((columns, leaveType) => {
+        const typeSummary = summary.byType[leaveType] || { count: 0, days: 0 };
+        return [...columns, typeSummary.count, typeSummary.days];
+      }, []),
+      summary.approvedCount,
+      summary.approvedDays,
+      summary.pending,
+      summary.rejected,
+      summary.lateReturns,
+      summary.notReturned,
+    ]);
+  return { from, to, header, rows };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The BOM makes Excel open the file as UTF-8 so Khmer text displays correctly.
+const reportToCsv = (report) =>
+  "\uFEFF" +
+  [report.header, ...report.rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+
+function reportToXlsx(report, sheetName) {
+  const XLSX = require("xlsx"); // Only needed for Excel downloads
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([report.header, ...report.rows]),
+    sheetName
+  );
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+// --- TEAM CALENDAR ---
+// Approved requests expanded into the days (or half-days) they cover. Days that don't count
+// as leave (see countsAsLeaveDay), such as public holidays from the Holidays sheet, are left
+// out.
+
+async function getPublicHolidays() {
+  let holidays = scriptCache.get(CACHE_HOLIDAYS_KEY);
+  if (!holidays) {
+    holidays = await leaveStore.loadHolidays();
+    scriptCache.set(CACHE_HOLIDAYS_KEY, holidays, HOLIDAYS_CACHE_TTL);
+  }
+  return holidays;
+}
+
+const HALF_DAY_NAMES = Object.keys(HALF_DAY_SLOTS); // Indexed by slot
+
+// [{ date, portion, days }] in date order; portion is "full" or a half-day value such as
+// "មួយព្រឹក", and days is 1 or 0.5. The days add up to the request's DAYS_COL.
+function expandLeaveDays(request, holidays) {
+  const interval = getLeaveInterval(request);
+  if (!interval) return [];
+  const slotsByDay = {};
+  for (let slot = interval.start; slot < interval.end; slot++) {
+    const day = Math.floor(slot / SLOTS_PER_DAY);
+    if (!slotsByDay[day]) slotsByDay[day] = [];
+    slotsByDay[day].push(slot % SLOTS_PER_DAY);
+  }
+  return Object.keys(slotsByDay)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter((day) =>
+      countsAsLeaveDay(
+        request.leaveType,
+        new Date(day * 86400000).toISOString().slice(0, 10),
+        holidays
+      )
+    )
+    .map((day) => {
+      const slots = slotsByDay[day];
+      const isFullDay = slots.length === SLOTS_PER_DAY;
+      return {
+        date: new Date(day * 86400000).toISOString().slice(0, 10),
+        portion: isFullDay ? "full" : HALF_DAY_NAMES[slots[0]],
+        days: isFullDay ? 1 : 0.5,
+      };
+    });
+}
+
+// Who is away on each day of the range (a month by default, as for reports), plus the
+// number of leave days each employee takes within it.
+async function buildLeaveCalendar(options = {}) {
+  const range = resolveReportRange(options);
+  const from = toDateKey(range.from);
+  const to = toDateKey(range.to);
+  const [requests, holidays] = await Promise.all([
+    leaveStore.listRequests(),
+    getPublicHolidays(),
+  ]);
+
+  const days = {};
+  const totals = {};
+  requests
+    .filter((request) => request.status === "Approved")
+    .forEach((request) => {
+      expandLeaveDays(request, holidays).forEach((day) => {
+        if (day.date < from || day.date > to) return;
+        if (!days[day.date]) days[day.date] = [];
+        days[day.date].push({
+          requestId: request.requestId,
+          employeeId: request.employeeId,
+          employeeName: request.employeeName,
+          leaveType: request.leaveType,
+          portion: day.portion,
+        });
+        const total = totals[request.employeeId] || {
+          employeeName: request.employeeName,
+          days: 0,
+        };
+        total.days += day.days;
+        totals[request.employeeId] = total;
+      });
+    });
+
+  return {
+    from,
+    to,
+    holidays: Object.keys(holidays)
+      .filter((date) => date >= from && date <= to)
+      .sort()
+      .map((date) => ({ date, name: holidays[date] })),
+    days,
+    totals,
+  };
+}
+
+function getCalendarFeedToken(account) {
+  return crypto
+    .createHmac("sha256", CALENDAR_FEED_SECRET)
+    .update(`${account.username}:${account.passwordHash}`)
+    .digest("hex");
+}
+
+const icsText = (value) =>
+  String(value === undefined || value === null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/[,;]/g, (char) => `\\${char}`);
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1) without splitting a character.
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74; // Continuations start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const toIcsDate = (dateKey) => dateKey.replace(/-/g, "");
+const nextDateKey = (dateKey) => {
+  const date = parseDateOnly(dateKey);
+  date.setDate(date.getDate() + 1);
+  return toDateKey(date);
+};
+
+// All-day events for approved leave from CALENDAR_FEED_PAST_DAYS ago to
+// CALENDAR_FEED_FUTURE_DAYS ahead. A request spanning a weekend or holiday becomes one event
+// per stretch of working days around it. Reasons are left out: the feed ends up on phones.
+async function buildCalendarFeed() {
+  const now = new Date();
+  const from = toDateKey(
+    new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate() - CALENDAR_FEED_PAST_DAYS
+    )
+  );
+  const to = toDateKey(
+    new Date(
+      now.getFullYear(),
+      now.getMonth(),
+      now.getDate() + CALENDAR_FEED_FUTURE_DAYS
+    )
+  );
+  const [requests, holidays] = await Promise.all([
+    leaveStore.listRequests(),
+    getPublicHolidays(),
+  ]);
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+  const events = [];
+  const addEvent = (uid, start, end, summary, description = "") =>
+    events.push(
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(start)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(nextDateKey(end))}`,
+      `SUMMARY:${icsText(summary)}`,
+      ...(description ? [`DESCRIPTION:${icsText(description)}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+
+  requests
+    .filter((request) => request.status === "Approved")
+    .forEach((request) => {
+      const runs = [];
+      expandLeaveDays(request, holidays)
+        .filter((day) => day.date >= from && day.date <= to)
+        .forEach((day) => {
+          const run = runs[runs.length - 1];
+          if (run && nextDateKey(run.end) === day.date) {
+            run.end = day.date;
+            run.days += day.days;
+          } else {
+            runs.push({ start: day.date, end: day.date, ...day });
+          }
+        });
+      runs.forEach((run, index) => {
+        const portion =
+          run.start === run.end && run.portion !== "full"
+            ? ` (${run.portion})`
+            : "";
+        addEvent(
+          `${request.requestId}-${index}@leave`,
+          run.start,
+          run.end,
+          `${request.employeeName} — ${request.leaveType}${portion}`,
+          `ID: ${request.employeeId}\nRequest ID: ${request.requestId}\n${run.days} ថ្ងៃ`
+        );
+      });
+    });
+  Object.keys(holidays)
+    .filter((date) => date >= from && date <= to)
+    .forEach((date) =>
+      addEvent(`holiday-${date}@leave`, date, date, `🎌 ${holidays[date]}`)
+    );
+
+  return (
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//MMK//Leave Calendar//KM",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:ច្បាប់បុគ្គលិក",
+      ...events,
+      "END:VCALENDAR",
+    ]
+      .map(foldIcsLine)
+      .join("\r\n") + "\r\n"
+  );
+}
+
+// --- SCHEDULED NOTIFICATIONS ---
+
+const getSentNotifications = (request) =>
+  String(request.notificationSent || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+
+// Recorded before sending, so a crash mid-send can't cause a duplicate after restart.
+async function markNotificationSent(request, key) {
+  const sent = getSentNotifications(request);
+  if (sent.includes(key)) return false;
+  request.notificationSent = [...sent, key].join(",");
+  await leaveStore.updateRequest(request, {
+    notificationSent: request.notificationSent,
+  });
+  return true;
+}
+
+const buildRequestSummary = (request) =>
+  `<b>ឈ្មោះ:</b> ${escapeHtml(request.employeeName)} (ID: ${
+    request.employeeId
+  })\n<b>ប្រភេទច្បាប់:</b> ${request.leaveType}\n<b>ពីថ្ងៃ:</b> ${
+    request.startDate
+  } <b>ដល់</b> ${request.endDate}\n<b>Request ID:</b> ${request.requestId}`;
+
+async function runScheduledNotifications(now = new Date()) {
+  // Older requests are skipped below anyway, so they are not even read.
+  const since = new Date(
+    now -
+      (Math.max(PENDING_NOTICE_MAX_AGE_DAYS, OVERDUE_NOTICE_MAX_AGE_DAYS) + 1) *
+        86400000
+  );
+  const requests = await leaveStore.listOpenRequests(since);
+  for (const request of requests) {
+    try {
+      if (request.status === "Pending") {
+        const waitingMinutes = Math.round(
+          (now - new Date(request.timestamp)) / 60000
+        );
+        if (waitingMinutes > PENDING_NOTICE_MAX_AGE_DAYS * 24 * 60) {
+          continue;
+        }
+        if (
+          waitingMinutes >= REMINDER_DELAY_MINUTES &&
+          (await markNotificationSent(request, "reminder"))
+        ) {
+          await sendTelegramNotification(
+            `<b>⏰ រំលឹក: សំណើនៅរង់ចាំការសម្រេច (${waitingMinutes} នាទី)</b>\n------------------------------------\n${buildRequestSummary(
+              request
+            )}`,
+            buildApprovalKeyboard(request.requestId, request),
+            request
+          );
+        }
+        if (
+          TELEGRAM_ESCALATION_CHAT_IDS.length > 0 &&
+          waitingMinutes >= ESCALATION_DELAY_MINUTES &&
+          (await markNotificationSent(request, "escalation"))
+        ) {
+          for (const chatId of TELEGRAM_ESCALATION_CHAT_IDS) {
+            await enqueueTelegramMessage(
+              "action",
+              chatId,
+              `<b>🚨 សំណើមិនទាន់បានសម្រេចលើស ${waitingMinutes} នាទី</b>\n------------------------------------\n${buildRequestSummary(
+                request
+              )}\n<b>មូលហេតុ:</b> ${escapeHtml(request.reason)}`,
+              buildApprovalKeyboard(request.requestId, request),
+              request.requestId
+            );
+          }
+        }
+        continue;
+      }
+
+      const dashboardStatus = getDashboardStatus(request, now);
+      if (
+        dashboardStatus !== "OverdueTime" &&
+        dashboardStatus !== "OverdueDay"
+      ) {
+        continue;
+      }
+      const expectedReturn = getExpectedReturnTime(request);
+      if (now - expectedReturn > OVERDUE_NOTICE_MAX_AGE_DAYS * 86400000) {
+        continue;
+      }
+      if (await markNotificationSent(request, "overdue")) {
+        await sendTelegramNotification(
+          `<b>⚠️ បុគ្គលិកមិនទាន់ចូលមកវិញ</b>\n------------------------------------\n${buildRequestSummary(
+            request
+          )}\n<b>ត្រូវចូលមកវិញ:</b> ${expectedReturn.toLocaleString("en-GB")}`,
+          null,
+          request
+        );
+        await notifyEmployee(
+          request.employeeId,
+          `⚠️ អ្នកហួសពេលចូលមកវិញហើយ (ត្រូវចូលមុន ${expectedReturn.toLocaleString(
+            "en-GB"
+          )})។ សូមបញ្ជាក់ការចូលមកវិញតាមទម្រង់ឱ្យបានឆាប់។`
+        );
+      }
+    } catch (e) {
+      console.error(
+        `runScheduledNotifications Error (${request.requestId}): ${e.message}`
+      );
+    }
+  }
+}
+
+let isSchedulerRunning = false;
+function startScheduler() {
+  if (!SCHEDULER_ENABLED) return;
+  setInterval(async () => {
+    if (isSchedulerRunning) return; // The previous run is still going
+    isSchedulerRunning = true;
+    try {
+      await runScheduledNotifications();
+    } catch (e) {
+      console.error(`Scheduler Error: ${e.stack}`);
+    } finally {
+      isSchedulerRunning = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+}
+
+// --- LIVE UPDATES ---
+// Server-Sent Events for the dashboard and the employee's waiting screen. Events only say
+// that a request changed; the pages then reload what they show through the usual endpoints,
+// so nothing here has to be kept in sync with the dashboard or status payloads.
+const LIVE_HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle streams
+const LIVE_RETRY_MS = 5000;
+// The employee stream needs no login, so it has its own limits and cannot use up the
+// admins' connections.
+const MAX_ADMIN_LIVE_CLIENTS = 50;
+const MAX_PUBLIC_LIVE_CLIENTS = 200;
+const MAX_LIVE_CLIENTS_PER_REQUEST = 3; // A few tabs or phones of the same employee
+const MAX_LIVE_CLIENTS_PER_IP = 20; // Staff on the office network share one address
+const liveClients = new Set();
+let liveHeartbeat = null;
+
+function isLiveLimitReached(client) {
+  const sameKind = [...liveClients].filter((c) => c.admin === client.admin);
+  if (client.admin) return sameKind.length >= MAX_ADMIN_LIVE_CLIENTS;
+  return (
+    sameKind.length >= MAX_PUBLIC_LIVE_CLIENTS ||
+    sameKind.filter((c) => c.requestId === client.requestId).length >=
+      MAX_LIVE_CLIENTS_PER_REQUEST ||
+    sameKind.filter((c) => c.ip === client.ip).length >= MAX_LIVE_CLIENTS_PER_IP
+  );
+}
+
+function openEventStream(req, res, client) {
+  client.ip = req.ip;
+  if (isLiveLimitReached(client)) {
+    return res.status(503).end();
+  }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx would otherwise hold events back
+  });
+  res.flushHeaders();
+  res.write(`retry: ${LIVE_RETRY_MS}\n\n`);
+
+  client.res = res;
+  liveClients.add(client);
+  if (!liveHeartbeat) {
+    liveHeartbeat = setInterval(() => {
+      liveClients.forEach((c) => c.res.write(": ping\n\n"));
+    }, LIVE_HEARTBEAT_MS);
+    liveHeartbeat.unref();
+  }
+  req.on("close", () => {
+    liveClients.delete(client);
+    if (liveClients.size === 0 && liveHeartbeat) {
+      clearInterval(liveHeartbeat);
+      liveHeartbeat = null;
+    }
+  });
+}
+
+// Admins get every event; an employee stream only gets events for its own request.
+function publishRequestEvent(type, requestId, status = "") {
+  if (liveClients.size === 0) return;
+  const data = JSON.stringify({
+    type,
+    requestId,
+    status,
+    at: new Date().toISOString(),
+  });
+  liveClients.forEach((client) => {
+    if (client.admin || client.requestId === requestId) {
+      client.res.write(`data: ${data}\n\n`);
+    }
+  });
+}
+
+app.get("/events/admin", requireAdmin, (req, res) => {
+  openEventStream(req, res, { admin: true });
+});
+
+app.get("/events/request/:requestId", (req, res) => {
+  const { requestId } = req.params;
+  if (!REQUEST_ID_PATTERN.test(requestId)) {
+    return res.status(400).end();
+  }
+  openEventStream(req, res, { admin: false, requestId });
+});
+
+// --- API Endpoints ---
+// Serves stored photos. A valid, unexpired signature is enough (links in Telegram and the
+// form); a logged-in admin may also open a file whose link has expired.
+app.get("/files/:ref", async (req, res) => {
+  const { ref } = req.params;
+  const expires = parseInt(req.query.expires, 10) || 0;
+  const signature = Buffer.from(String(req.query.sig || ""));
+  const expected = Buffer.from(signFileRef(ref, expires));
+  const isSigned =
+    expires > Date.now() / 1000 &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(signature, expected);
+  if (!isSigned && !getAdminSession(req)) {
+    return res.status(403).send("This link has expired.");
+  }
+  try {
+    const file = await openStoredImage(ref);
+    res.set({
+      "Content-Type": file.mimeType,
+      "Cache-Control": "private, max-age=300",
+      "X-Content-Type-Options": "nosniff",
+    });
+    file.stream.on("error", (e) => {
+      console.error(`files Error: ${e.message}`);
+      res.destroy();
+    });
+    file.stream.pipe(res);
+  } catch (e) {
+    console.error(`files Error: ${e.message}`);
+    res.status(404).send("Not found.");
+  }
+});
+
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "index.html"));
+});
+
+app.post("/verifyEmployeeAndGetStatus", async (req, res) => {
+  const startedAt = Date.now();
+  const { employeeId } = req.body;
+  if (!employeeId) {
+    return res.json({
+      verificationStatus: "error",
+      message: "សូម​បញ្ចូល​អត្តលេខ។",
+    });
+  }
+  const employeeCheck = await checkEmployeeId(employeeId);
+  if (employeeCheck.status === "error") {
+    return res.json({
+      verificationStatus: "error",
+      message: employeeCheck.message,
+    });
+  }
+  const leaveStatus = await getUserStatus(employeeId);
+  setServerTiming(res, startedAt);
+  const telegramLinks = await getTelegramLinks().catch(() => ({}));
+  if (leaveStatus.status === "Error") {
+    return res.json({
+      verificationStatus: "error",
+      message: leaveStatus.message,
+    });
+  }
+  res.json({
+    verificationStatus: "success",
+    employeeInfo: {
+      name: employeeCheck.name,
+      photoUrl: employeeCheck.photoUrl,
+      telegramLinked: Boolean(telegramLinks[employeeId.trim()]),
+    },
+    leaveStatus: leaveStatus,
+  });
+});
+
+// Only the dates are checked here; reason, photos and location are validated on submit.
+app.post("/checkForDuplicateRequests", async (req, res) => {
+  try {
+    const validation = await validateLeaveDates(req.body);
+    if (validation.status !== "success") return res.json(validation);
+    const overlap = await findOverlappingRequest(validation.details);
+    if (overlap) {
+      return res.json({
+        isDuplicate: true,
+        message: buildOverlapMessage(validation.details.employeeId, overlap),
+      });
+    }
+    const fee = getLeaveFee(validation.details);
+    res.json({ isDuplicate: false, fee: fee > 0 ? formatAmount(fee) : "" });
+  } catch (e) {
+    // Never report "no duplicate" when we could not actually check.
+    console.error(`Error in checkForDuplicateRequests: ${e.stack}`);
+    res.json({
+      status: "error",
+      message: `មិនអាចពិនិត្យសំណើស្ទួនបានទេ: ${e.message}`,
+    });
+  }
+});
+
+// --- REQUEST VALIDATION ---
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const daysBetween = (from, to) => Math.round((to - from) / 86400000); // Rounds away DST shifts
+
+// The authoritative duration of a request: the days from startDate to endDate that count
+// (countsAsLeaveDay), less half a day when the selection ends in ".5" (the afternoon of the
+// last day is not taken). Returns { days, value } with the value to store in DAYS_COL, or
+// { error }. A half-day selection keeps its name so the slot it covers is known.
+async function calculateLeaveDuration(
+  leaveType,
+  startDate,
+  endDate,
+  selection
+) {
+  const holidays = WORKING_DAY_LEAVE_TYPES.includes(leaveType)
+    ? await getPublicHolidays()
+    : {};
+  const counts = (dateKey) => countsAsLeaveDay(leaveType, dateKey, holidays);
+  const notWorkingDay = (dateKey) =>
+    `ថ្ងៃ ${dateKey} មិនមែនជាថ្ងៃធ្វើការទេ${
+      holidays[dateKey] ? ` (${holidays[dateKey]})` : ""
+    }។`;
+
+  if (dayValueMap[selection] !== undefined) {
+    if (!counts(startDate)) return { error: notWorkingDay(startDate) };
+    return { days: dayValueMap[selection], value: selection };
+  }
+
+  let days = 0;
+  const date = parseDateOnly(startDate);
+  for (let key = startDate; key <= endDate; key = toDateKey(date)) {
+    if (counts(key)) days++;
+    date.setDate(date.getDate() + 1);
+  }
+  if (days === 0) {
+    return { error: "គ្មានថ្ងៃធ្វើការក្នុងចន្លោះកាលបរិច្ឆេទនេះទេ។" };
+  }
+  if (/\.5$/.test(selection)) {
+    if (!counts(endDate)) return { error: notWorkingDay(endDate) };
+    days -= 0.5;
+  }
+  return { days, value: String(days) };
+}
+
+// Checks who, which leave type and which dates: all the overlap pre-check needs. Returns
+// { status: "success", details } or a Khmer error message. The employee name is always
+// looked up from the employee sheet rather than taken from the client.
+async function validateLeaveDates(body) {
+  const fail = (message) => ({ status: "error", message });
+  if (!body || typeof body !== "object") return fail("ទិន្នន័យមិនត្រឹមត្រូវ។");
+
+  const employeeId =
+    typeof body.employeeId === "string" || typeof body.employeeId === "number"
+      ? String(body.employeeId).trim()
+      : "";
+  if (!employeeId) return fail("សូម​បញ្ចូល​អត្តលេខ។");
+  const employee = (await getEmployeeMap())[employeeId];
+  if (!employee) return fail("អត្តលេខមិនត្រឹមត្រូវ។");
+
+  if (!ALL_LEAVE_SHEETS.includes(body.leaveType)) {
+    return fail("ប្រភេទច្បាប់មិនត្រឹមត្រូវ។");
+  }
+
+  const numberOfDays = String(
+    body.numberOfDays === undefined || body.numberOfDays === null
+      ? ""
+      : body.numberOfDays
+  ).trim();
+  const isHalfDay = dayValueMap[numberOfDays] !== undefined;
+  const days = getNumericDayValue(numberOfDays);
+  if (
+    !isHalfDay &&
+    !(/^\d+(\.5)?$/.test(numberOfDays) && days > 0 && days <= MAX_LEAVE_DAYS)
+  ) {
+    return fail("ចំនួនថ្ងៃមិនត្រឹមត្រូវ។");
+  }
+
+  const startDate = DATE_PATTERN.test(body.startDate)
+    ? parseDateOnly(body.startDate)
+    : null;
+  if (!startDate || toDateKey(startDate) !== body.startDate) {
+    return fail("កាលបរិច្ឆេទចាប់ផ្តើមមិនត្រឹមត្រូវ។");
+  }
+  const endDateValue = body.endDate || body.startDate;
+  const endDate = DATE_PATTERN.test(endDateValue)
+    ? parseDateOnly(endDateValue)
+    : null;
+  if (!endDate || toDateKey(endDate) !== endDateValue) {
+    return fail("កាលបរិច្ឆេទបញ្ចប់មិនត្រឹមត្រូវ។");
+  }
+  const span = daysBetween(startDate, endDate) + 1;
+  if (span < 1) {
+    return fail("កាលបរិច្ឆេទបញ្ចប់មិនអាចមុនកាលបរិច្ឆេទចាប់ផ្តើមបានទេ។");
+  }
+  if (isHalfDay && span !== 1) {
+    return fail("ច្បាប់កន្លះថ្ងៃត្រូវចាប់ផ្តើម និងបញ្ចប់នៅថ្ងៃតែមួយ។");
+  }
+  if (span > MAX_LEAVE_DAYS * 2) return fail("ចន្លោះកាលបរិច្ឆេទវែងពេក។");
+  const duration = await calculateLeaveDuration(
+    body.leaveType,
+    body.startDate,
+    endDateValue,
+    numberOfDays
+  );
+  if (duration.error) return fail(duration.error);
+  // The server's count comes back with the error so the form can offer to submit it.
+  if (duration.days !== days) {
+    return {
+      ...fail(
+        `ចំនួនថ្ងៃមិនត្រូវនឹងកាលបរិច្ឆេទទេ៖ ពី ${body.startDate} ដល់ ${endDateValue} គឺ ${duration.days} ថ្ងៃ។`
+      ),
+      numberOfDays: duration.value,
+    };
+  }
+  const offset = daysBetween(parseDateOnly(toDateKey(new Date())), startDate);
+  if (offset < -MAX_BACKDATE_DAYS || offset > MAX_ADVANCE_DAYS) {
+    return fail("កាលបរិច្ឆេទចាប់ផ្តើមនៅឆ្ងាយពេក។");
+  }
+
+  if (body.requestId && !REQUEST_ID_PATTERN.test(body.requestId)) {
+    return fail("Request ID មិនត្រឹមត្រូវ។");
+  }
+
+  return {
+    status: "success",
+    details: {
+      requestId: body.requestId || null,
+      employeeId,
+      employeeName: employee.name,
+      leaveType: body.leaveType,
+      startDate: body.startDate,
+      endDate: endDateValue,
+      numberOfDays: duration.value,
+    },
+  };
+}
+
+// Checks a submitted or amended leave request and returns { status: "success", details }
+// with only the known fields, or a Khmer error message.
+async function validateLeaveRequest(body) {
+  const fail = (message) => ({ status: "error", message });
+  const dates = await validateLeaveDates(body);
+  if (dates.status !== "success") return dates;
+
+  const reason =
+    typeof body.reason === "string"
+      ? body.reason.replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, "").trim()
+      : "";
+  if (!reason) return fail("សូមបញ្ចូលមូលហេតុ។");
+  if (reason.length > MAX_REASON_LENGTH) {
+    return fail(`មូលហេតុវែងពេក (អតិបរមា ${MAX_REASON_LENGTH} តួអក្សរ)។`);
+  }
+
+  const images = [body.selfieImageData, body.paymentReceiptImageData];
+  if (body.documentImageData) {
+    let documents = null;
+    try {
+      documents = JSON.parse(body.documentImageData);
+    } catch (e) {
+      documents = null;
+    }
+    if (!Array.isArray(documents) || documents.length > MAX_DOCUMENT_IMAGES) {
+      return fail(
+        `រូបភាពឯកសារមិនត្រឹមត្រូវ (អតិបរមា ${MAX_DOCUMENT_IMAGES} សន្លឹក)។`
+      );
+    }
+    images.push(...documents);
+  }
+  for (const image of images.filter(Boolean)) {
+    const decoded = decodeImageData(image);
+    if (decoded.error) return fail(decoded.error);
+  }
+
+  const location = readLocation(body);
+  if (!location) return fail("ទីតាំងមិនត្រឹមត្រូវ។");
+
+  return {
+    status: "success",
+    details: {
+      ...dates.details,
+      reason,
+      selfieImageData: body.selfieImageData || "",
+      documentImageData: body.documentImageData || "",
+      paymentReceiptImageData: body.paymentReceiptImageData || "",
+      ...location,
+    },
+  };
+}
+
+// Uploads whichever photos the form sent and returns the request fields pointing to them,
+// or { error } if any of them could not be processed or stored. The selfie and location
+// are skipped for ច្បាប់ចេញក្រៅ.
+async function saveRequestAttachments(leaveDetails, requestId) {
+  const failed = { error: "មិនអាចរក្សាទុករូបថតបានទេ។ សូមព្យាយាមម្តងទៀត។" };
+  const attachments = {
+    selfiePhotoUrl: "",
+    locationLink: "",
+    locationCheck: "",
+    documentPhotoUrl: "",
+    paymentReceiptUrl: "",
+  };
+  if (leaveDetails.leaveType !== PERMISSION_SHEET_NAME) {
+    if (
+      leaveDetails.selfieImageData &&
+      isBase64Image(leaveDetails.selfieImageData)
+    ) {
+      attachments.selfiePhotoUrl = await saveUploadedImage(
+        leaveDetails.selfieImageData,
+        `Selfie_${leaveDetails.employeeId}_${requestId}`,
+        SELFIE_DRIVE_FOLDER_ID
+      );
+      if (!attachments.selfiePhotoUrl) return failed;
+    }
+    attachments.locationLink = buildLocationLink(
+      leaveDetails.latitude,
+      leaveDetails.longitude
+    );
+    if (attachments.locationLink) {
+      attachments.locationCheck = JSON.stringify(checkGeofence(leaveDetails));
+    }
+  }
+
+  // Document images are only for "ច្បាប់ឈប់សម្រាក", but we check for data just in case.
+  if (
+    leaveDetails.documentImageData &&
+    leaveDetails.documentImageData.startsWith("[")
+  ) {
+    const images = JSON.parse(leaveDetails.documentImageData);
+    const urls = await Promise.all(
+      images.map((imgData, i) =>
+        saveUploadedImage(
+          imgData,
+          `Document_${leaveDetails.employeeId}_${requestId}_${i + 1}`,
+          DOCUMENT_DRIVE_FOLDER_ID
+        )
+      )
+    );
+    if (urls.some((url) => !url)) return failed;
+    attachments.documentPhotoUrl = JSON.stringify(urls);
+  }
+
+  if (leaveDetails.paymentReceiptImageData) {
+    attachments.paymentReceiptUrl = await saveUploadedImage(
+      leaveDetails.paymentReceiptImageData,
+      `Payment_${leaveDetails.employeeId}_${requestId}`,
+      PAYMENT_RECEIPT_DRIVE_FOLDER_ID
+    );
+    if (!attachments.paymentReceiptUrl) return failed;
+  }
+  return attachments;
+}
+
+// The approval message for a new or amended request.
+function buildNewRequestMessage(title, request, options = {}) {
+  let daysDisplay = request.numberOfDays;
+  const numericDays = getNumericDayValue(daysDisplay);
+  if (numericDays > 0 && !isNaN(parseFloat(daysDisplay))) {
+    daysDisplay += " ថ្ងៃ";
+  }
+  const approvalSteps = getApprovalSteps(request);
+
+  let message = `<b>${title}</b>\n`;
+  message += `------------------------------------\n`;
+  message += `<b>ឈ្មោះ:</b> ${escapeHtml(request.employeeName)} (ID: ${
+    request.employeeId
+  })\n`;
+  message += `<b>ប្រភេទច្បាប់:</b> ${request.leaveType}\n`;
+  message += `<b>ពីថ្ងៃ:</b> ${request.startDate} <b>ដល់</b> ${request.endDate}\n`;
+  message += `<b>ចំនួន:</b> ${daysDisplay}\n`;
+  message += `<b>មូលហេតុ:</b> ${escapeHtml(request.reason)}`;
+  const linkTo = (ref) =>
+    escapeHtml(
+      toFileLink(ref, { ttl: TELEGRAM_FILE_LINK_TTL, absolute: true })
+    );
+  if (request.selfiePhotoUrl)
+    message += `\n<b>រូបថត:</b> <a href="${linkTo(
+      request.selfiePhotoUrl
+    )}">មើលរូបថត</a>`;
+  if (request.locationLink)
+    message += `\n<b>📍 ទីតាំង:</b> <a href="${escapeHtml(
+      request.locationLink
+    )}">ចុចមើលទីតាំង</a>`;
+  const locationCheck = parseLocationCheck(request.locationCheck);
+  if (locationCheck) message += `\n${formatLocationCheck(locationCheck)}`;
+  if (request.paymentReceiptUrl)
+    message += `\n<b>វិក័យបត្រ:</b> <a href="${linkTo(
+      request.paymentReceiptUrl
+    )}">មើលវិក័យបត្រ</a>`;
+  const paymentLine = formatPayment(request);
+  if (paymentLine) message += `\n${paymentLine}`;
+  if (options.quotaMessage) message += `\n<b>⚠️ ${options.quotaMessage}</b>`;
+  if (approvalSteps.length > 0)
+    message += `\n<b>ការអនុម័ត:</b> ${approvalSteps
+      .map((step) => step.label)
+      .join(" → ")}`;
+
+  if (options.monthlyStats)
+    message += `\n\n${formatMonthlyStats(options.monthlyStats)}`;
+  message += `\n------------------------------------\nសូមធ្វើការសម្រេចចិត្តខាងក្រោម 👇`;
+  return message;
+}
+
+// --- PAYMENTS ---
+// The fee is fixed when the request is submitted (or amended) and the receipt is checked by
+// an approver, from Telegram or the dashboard. Unverified approved requests show up in the
+// payment reconciliation report.
+
+function getLeaveFee(request) {
+  const tiers = LEAVE_FEES[request.leaveType];
+  if (!Array.isArray(tiers)) return 0;
+  const days = getNumericDayValue(request.numberOfDays);
+  const tier = tiers.find(
+    (candidate) => candidate.maxDays === undefined || days <= candidate.maxDays
+  );
+  return tier ? Number(tier.amount) || 0 : 0;
+}
+
+function getInitialPayment(request) {
+  const amount = getLeaveFee(request);
+  let paymentStatus = "";
+  if (request.paymentReceiptUrl) paymentStatus = "ReceiptUploaded";
+  else if (amount > 0) paymentStatus = "Unpaid";
+  return { paymentStatus, paymentAmount: amount > 0 ? amount : "" };
+}
+
+// Rows from before PAYMENT_STATUS_COL existed only have the receipt to go by.
+function getPaymentStatus(request) {
+  if (request.paymentStatus) return request.paymentStatus;
+  return request.paymentReceiptUrl ? "ReceiptUploaded" : "";
+}
+
+function getPaymentReview(request) {
+  try {
+    return JSON.parse(request.paymentReview || "null");
+  } catch (e) {
+    return null;
+  }
+}
+
+const formatAmount = (amount) =>
+  `${Number(amount).toLocaleString("en-US")} ${PAYMENT_CURRENCY}`;
+
+// One line for Telegram messages, or "" when no payment is involved.
+function formatPayment(request) {
+  const status = getPaymentStatus(request);
+  if (!status) return "";
+  const amount = request.paymentAmount
+    ? `${formatAmount(request.paymentAmount)} — `
+    : "";
+  return `<b>💵 ការបង់ប្រាក់:</b> ${amount}${PAYMENT_STATUS_LABELS[status]}`;
+}
+
+async function setPaymentStatus(requestId, status, reviewer, note = "") {
+  if (status !== "Verified" && status !== "Disputed") {
+    return { status: "error", message: "Invalid payment status." };
+  }
+  const request = await leaveStore.findRequest(requestId);
+  if (!request) return { status: "error", message: "Request ID not found." };
+  const currentStatus = getPaymentStatus(request);
+  if (!currentStatus) {
+    return { status: "error", message: "សំណើនេះមិនតម្រូវឱ្យបង់ប្រាក់ទេ។" };
+  }
+  if (currentStatus === status) {
+    return {
+      status: "error",
+      message: `ការបង់ប្រាក់ត្រូវបានកត់ត្រាថា "${PAYMENT_STATUS_LABELS[status]}" រួចហើយ។`,
+    };
+  }
+  const trimmedNote = String(note || "")
+    .trim()
+    .slice(0, MAX_REASON_LENGTH);
+  if (status === "Disputed" && !trimmedNote) {
+    return { status: "error", message: "សូមបញ្ជាក់បញ្ហានៃការបង់ប្រាក់។" };
+  }
+
+  await leaveStore.updateRequest(request, {
+    paymentStatus: status,
+    paymentReview: JSON.stringify({
+      status,
+      by: reviewer,
+      at: new Date().toISOString(),
+      note: trimmedNote,
+    }),
+  });
+  publishRequestEvent("payment", requestId, request.status);
+  await appendAuditLog(
+    status === "Verified" ? "PaymentVerified" : "PaymentDisputed",
+    requestId,
+    reviewer,
+    trimmedNote
+  );
+  if (status === "Disputed") {
+    await notifyEmployee(
+      request.employeeId,
+      `<b>⚠️ ការបង់ប្រាក់សម្រាប់សំណើ ${requestId} មានបញ្ហា</b>\n<b>មូលហេតុ:</b> ${escapeHtml(
+        trimmedNote
+      )}\nសូមទាក់ទងការិយាល័យរដ្ឋបាល។`
+    );
+  }
+  return {
+    status: "success",
+    message:
+      status === "Verified"
+        ? "បានផ្ទៀងផ្ទាត់ការបង់ប្រាក់។"
+        : "បានកត់ត្រាបញ្ហាការបង់ប្រាក់។",
+  };
+}
+
+// Approved requests, by start date in the range, whose fee or receipt was never verified.
+async function buildPaymentReconciliationReport(options = {}) {
+  const { from, to } = resolveReportRange(options);
+  const requests = await leaveStore.listRequests();
+  const header = [
+    "Request ID",
+    "អត្តលេខ",
+    "ឈ្មោះ",
+    "ប្រភេទច្បាប់",
+    "ពីថ្ងៃ",
+    "ចំនួន",
+    `ថ្លៃសេវា (${PAYMENT_CURRENCY})`,
+    "ស្ថានភាពបង់ប្រាក់",
+    "អ្នកអនុម័ត",
+    "កំណត់សម្គាល់",
+  ];
+  const rows = requests
+    .filter((request) => {
+      const start = parseDateOnly(request.startDate);
+      const paymentStatus = getPaymentStatus(request);
+      return (
+        request.status === "Approved" &&
+        start &&
+        start >= from &&
+        start <= to &&
+        paymentStatus &&
+        paymentStatus !== "Verified"
+      );
+    })
+    .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)))
+    .map((request) => {
+      const review = getPaymentReview(request);
+      return [
+        request.requestId,
+        request.employeeId,
+        request.employeeName,
+        request.leaveType,
+        request.startDate,
+        request.numberOfDays,
+        request.paymentAmount,
+        PAYMENT_STATUS_LABELS[getPaymentStatus(request)],
+        request.approver,
+        review ? review.note : "",
+      ];
+    });
+  return { from, to, header, rows };
+}
+
+// --- EMPLOYEE CANCEL / AMEND ---
+// Request IDs are guessable and an employee ID proves nothing, so an employee must also send
+// the request's access token (handed out on submit); admins only need their session. Every
+// change is appended to CHANGE_HISTORY_COL (and the audit log) with the old and new values.
+
+function getChangeHistory(request) {
+  try {
+    const history = JSON.parse(request.changeHistory || "[]");
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+const appendChangeHistory = (request, action, by, changes = {}) =>
+  JSON.stringify([
+    ...getChangeHistory(request),
+    { at: new Date().toISOString(), action, by, changes },
+  ]);
+
+async function findOwnRequest(
+  requestId,
+  employeeId,
+  { accessToken, isAdmin } = {}
+) {
+  if (!requestId) return null;
+  if (!isAdmin && !isValidRequestAccessToken(requestId, accessToken))
+    return null;
+  const request = await leaveStore.findRequest(requestId);
+  return request && request.employeeId === (employeeId || "").toString().trim()
+    ? request
+    : null;
+}
+
+// Allowed while Pending, or once Approved as long as the leave has not started yet.
+async function cancelLeaveRequest(requestId, employeeId, access) {
+  const request = await findOwnRequest(requestId, employeeId, access);
+  if (!request) return { status: "error", message: "Request ID not found." };
+
+  const start = parseDateOnly(request.startDate);
+  const notStarted =
+    request.status === "Approved" &&
+    !request.checkInTimestamp &&
+    start &&
+    toDateKey(start) > toDateKey(new Date());
+  if (request.status !== "Pending" && !notStarted) {
+    return {
+      status: "error",
+      message: "សំណើនេះមិនអាចបោះបង់បានទៀតទេ។",
+    };
+  }
+
+  const previousStatus = request.status;
+  await leaveStore.updateRequest(request, {
+    status: "Cancelled",
+    approvalStep: "",
+    changeHistory: appendChangeHistory(
+      request,
+      "Cancelled",
+      request.employeeId,
+      {
+        status: { from: previousStatus, to: "Cancelled" },
+      }
+    ),
+  });
+  publishRequestEvent("cancelled", requestId, "Cancelled");
+  await appendAuditLog(
+    "Cancelled",
+    requestId,
+    request.employeeId,
+    previousStatus
+  );
+
+  await updateApprovalMessages(
+    requestId,
+    "🚫 <b>សំណើនេះត្រូវបានបោះបង់ដោយបុគ្គលិក</b>"
+  );
+  await sendTelegramNotification(
+    `<b>🚫 សំណើច្បាប់ត្រូវបានបោះបង់</b>\n------------------------------------\n${buildRequestSummary(
+      request
+    )}\n<b>ស្ថានភាពមុន:</b> ${previousStatus}`,
+    null,
+    request
+  );
+  return { status: "success", message: "សំណើរបស់អ្នកត្រូវបានបោះបង់។" };
+}
+
+const AMENDABLE_FIELDS = ["startDate", "endDate", "numberOfDays", "reason"];
+
+// Only while Pending. The leave type cannot change (it decides the sheet the row lives in);
+// any approval steps already given are reset because the approvers saw different dates.
+async function amendLeaveRequest(leaveDetails, access) {
+  const request = await findOwnRequest(
+    leaveDetails.requestId,
+    leaveDetails.employeeId,
+    access
+  );
+  if (!request) return { status: "error", message: "Request ID not found." };
+  if (request.status !== "Pending") {
+    return {
+      status: "error",
+      message: "អាចកែប្រែបានតែសំណើដែលកំពុងរង់ចាំប៉ុណ្ណោះ។",
+    };
+  }
+  if (leaveDetails.leaveType && leaveDetails.leaveType !== request.leaveType) {
+    return {
+      status: "error",
+      message: "មិនអាចប្តូរប្រភេទច្បាប់បានទេ។ សូមបោះបង់ ហើយដាក់ស្នើថ្មី។",
+    };
+  }
+
+  const amended = { ...request };
+  AMENDABLE_FIELDS.forEach((field) => {
+    if (leaveDetails[field] !== undefined && leaveDetails[field] !== null) {
+      amended[field] = leaveDetails[field];
+    }
+  });
+  const overlap = await findOverlappingRequest(amended);
+  if (overlap) {
+    return {
+      status: "error",
+      message: buildOverlapMessage(request.employeeId, overlap),
+    };
+  }
+  const quotaCheck = await checkLeaveQuota(amended);
+  if (quotaCheck.blocked) {
+    return { status: "error", message: quotaCheck.message };
+  }
+
+  // Photos are only replaced when new ones were sent with the amendment.
+  const attachments = await saveRequestAttachments(
+    { ...leaveDetails, leaveType: request.leaveType },
+    request.requestId
+  );
+  if (attachments.error) {
+    return { status: "error", message: attachments.error };
+  }
+  Object.keys(attachments).forEach((field) => {
+    if (attachments[field]) amended[field] = attachments[field];
+  });
+
+  const fields = {};
+  const changes = {};
+  [...AMENDABLE_FIELDS, ...Object.keys(attachments)].forEach((field) => {
+    if (String(amended[field]) !== String(request[field])) {
+      fields[field] = amended[field];
+      changes[field] = { from: request[field], to: amended[field] };
+    }
+  });
+  if (Object.keys(fields).length === 0) {
+    return { status: "error", message: "មិនមានការផ្លាស់ប្តូរទេ។" };
+  }
+  // A new receipt or a different fee needs checking again.
+  const payment = getInitialPayment(amended);
+  if (
+    attachments.paymentReceiptUrl ||
+    String(payment.paymentAmount) !== String(request.paymentAmount)
+  ) {
+    Object.assign(fields, payment, { paymentReview: "" });
+    Object.assign(amended, payment, { paymentReview: "" });
+  }
+  const approvalSteps = getApprovalSteps(amended);
+  fields.approvalStep = approvalSteps.length > 0 ? approvalSteps[0].key : "";
+  fields.approvalHistory = "";
+  fields.changeHistory = appendChangeHistory(
+    request,
+    "Amended",
+    request.employeeId,
+    changes
+  );
+  await leaveStore.updateRequest(request, fields);
+  publishRequestEvent("amended", request.requestId, request.status);
+  await appendAuditLog(
+    "Amended",
+    request.requestId,
+    request.employeeId,
+    JSON.stringify(changes)
+  );
+
+  // The new message posted below takes over; the old ones keep this note for good.
+  await updateApprovalMessages(
+    request.requestId,
+    "✏️ <b>សំណើនេះត្រូវបានកែប្រែ — សូមមើលសារថ្មី</b>",
+    null,
+    { supersede: true }
+  );
+  await sendTelegramNotification(
+    buildNewRequestMessage("✏️ សំណើសុំច្បាប់ត្រូវបានកែប្រែ", amended, {
+      quotaMessage: quotaCheck.exceeded ? quotaCheck.message : "",
+    }),
+    buildApprovalKeyboard(request.requestId, amended),
+    amended
+  );
+  return {
+    status: "success",
+    requestId: request.requestId,
+    quotaWarning: quotaCheck.exceeded ? quotaCheck.message : "",
+  };
+}
+
+app.post("/submitLeaveRequest", async (req, res) => {
+  try {
+    const validation = await validateLeaveRequest(req.body);
+    if (validation.status !== "success") return res.json(validation);
+    const leaveDetails = validation.details;
+
+    const overlap = await findOverlappingRequest(leaveDetails);
+    if (overlap) {
+      return res.json({
+        status: "error",
+        message: buildOverlapMessage(leaveDetails.employeeId, overlap),
+      });
+    }
+    const quotaCheck = await checkLeaveQuota(leaveDetails);
+    if (quotaCheck.blocked) {
+      return res.json({ status: "error", message: quotaCheck.message });
+    }
+
+    const timestamp = new Date();
+    const requestId = `REQ-${timestamp.getTime()}`;
+    const attachments = await saveRequestAttachments(leaveDetails, requestId);
+    if (attachments.error) {
+      return res.json({ status: "error", message: attachments.error });
+    }
+    const monthlyStats = await getMonthlyLeaveStats(leaveDetails.employeeId);
+    const approvalSteps = getApprovalSteps(leaveDetails);
+
+    const request = {
+      timestamp: timestamp.toISOString(),
+      requestId,
+      employeeId: leaveDetails.employeeId,
+      employeeName: leaveDetails.employeeName,
+      leaveType: leaveDetails.leaveType,
+      startDate: leaveDetails.startDate,
+      endDate: leaveDetails.endDate,
+      numberOfDays: leaveDetails.numberOfDays,
+      reason: leaveDetails.reason,
+      status: "Pending",
+      ...attachments,
+      approvalStep: approvalSteps.length > 0 ? approvalSteps[0].key : "",
+    };
+    Object.assign(request, getInitialPayment(request));
+    await leaveStore.appendRequest(request);
+    publishRequestEvent("submitted", requestId, request.status);
+
+    await sendTelegramNotification(
+      buildNewRequestMessage("📢 សំណើសុំច្បាប់ថ្មី", request, {
+        monthlyStats,
+        quotaMessage: quotaCheck.exceeded ? quotaCheck.message : "",
+      }),
+      buildApprovalKeyboard(requestId, request),
+      request
+    );
+
+    res.json({
+      status: "success",
+      requestId: requestId,
+      accessToken: getRequestAccessToken(requestId),
+      quotaWarning: quotaCheck.exceeded ? quotaCheck.message : "",
+    });
   } catch (e) {
-    console.error(`getUserStatus Error: ${e.stack}`);
-    return { status: "Error", message: e.message };
+    console.error(`submitLeaveRequest Error: ${e.stack}`);
+    res.json({
+      status: "error",
+      message: `ការដាក់ស្នើបានបរាជ័យ: ${e.message}`,
+    });
+  }
+});
+
+app.post("/updateLeaveRequest", async (req, res) => {
+  try {
+    const validation = await validateLeaveRequest(req.body);
+    if (validation.status !== "success") return res.json(validation);
+    res.json(
+      await amendLeaveRequest(validation.details, {
+        accessToken: req.body.accessToken,
+        isAdmin: Boolean(getAdminSession(req)),
+      })
+    );
+  } catch (e) {
+    console.error(`updateLeaveRequest Error: ${e.stack}`);
+    res.json({
+      status: "error",
+      message: `ការកែប្រែបានបរាជ័យ: ${e.message}`,
+    });
+  }
+});
+
+app.post("/cancelLeaveRequest", async (req, res) => {
+  const { requestId, employeeId, accessToken } = req.body;
+  try {
+    res.json(
+      await cancelLeaveRequest(requestId, employeeId, {
+        accessToken,
+        isAdmin: Boolean(getAdminSession(req)),
+      })
+    );
+  } catch (e) {
+    console.error(`cancelLeaveRequest Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/getRequestStatus", async (req, res) => {
+  const { requestId } = req.body;
+  if (!requestId)
+    return res.json({ status: "Error", message: "No Request ID provided." });
+  try {
+    const startedAt = Date.now();
+    const request = await leaveStore.findRequest(requestId);
+    setServerTiming(res, startedAt);
+    if (request) {
+      const statusValue = request.status;
+      const leaveType = request.leaveType;
+      const checkInTimestamp = request.checkInTimestamp;
+      const adminCheckinNote = request.adminNote;
+
+      if (statusValue === "Approved" && checkInTimestamp && adminCheckinNote) {
+        return res.json({ status: "AdminCheckedIn", leaveType });
+      }
+      if (statusValue === "Rejected") {
+        return res.json({
+          status: "Rejected",
+          leaveType,
+          reason: adminCheckinNote || "",
+        });
+      }
+      if (statusValue === "Pending") {
+        return res.json({
+          status: statusValue,
+          leaveType,
+          approvalStep: getPendingApprovalStep(request),
+        });
+      }
+      return res.json({ status: statusValue, leaveType });
+    }
+    res.json({ status: "Not Found" });
+  } catch (e) {
+    console.error(`getRequestStatus Error: ${e.stack}`);
+    res.json({ status: "Error", message: e.message });
+  }
+});
+
+app.post("/createTelegramLink", async (req, res) => {
+  try {
+    const { employeeId, requestId, accessToken } = req.body;
+    res.json(
+      await createTelegramLinkCode(employeeId, {
+        requestId,
+        accessToken,
+        isAdmin: Boolean(getAdminSession(req)),
+      })
+    );
+  } catch (e) {
+    console.error(`createTelegramLink Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+// Anyone can ask with a bare employee ID, so only admins see the group, limits and usage;
+// the form just gets what is left in each period.
+app.post("/getLeaveBalance", async (req, res) => {
+  const { employeeId, leaveType } = req.body;
+  try {
+    const result = await getLeaveBalance(employeeId, { leaveType });
+    if (result.status !== "success" || getAdminSession(req)) {
+      return res.json(result);
+    }
+    const balances = {};
+    Object.keys(result.balances).forEach((type) => {
+      balances[type] = {
+        unit: result.balances[type].unit,
+        periods: result.balances[type].periods.map((period) => ({
+          period: period.period,
+          remaining: period.remaining,
+        })),
+      };
+    });
+    res.json({ status: "success", balances });
+  } catch (e) {
+    console.error(`getLeaveBalance Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/submitCheckIn", async (req, res) => {
+  try {
+    res.json(
+      await submitCheckIn(req.body, { isAdmin: Boolean(getAdminSession(req)) })
+    );
+  } catch (e) {
+    console.error(`submitCheckIn Error: ${e.stack}`);
+    res.json({
+      status: "error",
+      message: `ការបញ្ជាក់ការចូលមកវិញបានបរាជ័យ: ${e.message}`,
+    });
+  }
+});
+
+app.post("/admin/login", async (req, res) => {
+  const { username, password, code } = req.body;
+  try {
+    const result = await loginAdmin(username, password, code, req.ip);
+    if (result.status !== "success") return res.json(result);
+    createSession(req, res, result.account);
+    res.json({
+      status: "success",
+      admin: {
+        username: result.account.username,
+        displayName: result.account.displayName,
+      },
+    });
+  } catch (e) {
+    console.error(`admin/login Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/admin/requestLoginCode", async (req, res) => {
+  try {
+    res.json(await sendLoginCode(req.body.username, req.ip));
+  } catch (e) {
+    console.error(`admin/requestLoginCode Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/admin/logout", (req, res) => {
+  const token = getSessionToken(req);
+  if (token) sessionCache.del(token);
+  res.clearCookie(SESSION_COOKIE_NAME);
+  res.json({ status: "success" });
+});
+
+app.post("/admin/me", requireAdmin, (req, res) => {
+  res.json({ status: "success", admin: req.admin });
+});
+
+app.post("/getAdminDashboardData", requireAdmin, async (req, res) => {
+  try {
+    const data = await getAdminDashboardData(req.body);
+    res.json({ status: "success", data });
+  } catch (e) {
+    console.error(`getAdminDashboardData Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/adminSubmitCheckIn", requireAdmin, async (req, res) => {
+  try {
+    res.json(
+      await adminSubmitCheckIn(req.body.requestId, req.admin.displayName)
+    );
+  } catch (e) {
+    console.error(`adminSubmitCheckIn Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/deleteLeaveRequest", requireAdmin, async (req, res) => {
+  const { requestId, reason } = req.body;
+  try {
+    res.json(
+      await deleteLeaveRequest(requestId, req.admin.displayName, reason || "")
+    );
+  } catch (e) {
+    console.error(`deleteLeaveRequest Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/restoreLeaveRequest", requireAdmin, async (req, res) => {
+  try {
+    res.json(
+      await restoreLeaveRequest(req.body.requestId, req.admin.displayName)
+    );
+  } catch (e) {
+    console.error(`restoreLeaveRequest Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/getOutboxDeadLetters", requireAdmin, async (req, res) => {
+  try {
+    const messages = await leaveStore.listOutboxMessages("dead");
+    res.json({ status: "success", messages: messages.reverse().slice(0, 100) });
+  } catch (e) {
+    console.error(`getOutboxDeadLetters Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/retryOutboxMessage", requireAdmin, async (req, res) => {
+  try {
+    res.json(
+      await retryDeadOutboxMessage(req.body.messageId, req.admin.displayName)
+    );
+  } catch (e) {
+    console.error(`retryOutboxMessage Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/updateRequestStatus", requireAdmin, async (req, res) => {
+  const { requestId, newStatus, rejectionReason } = req.body;
+  if (newStatus !== "Approved" && newStatus !== "Rejected") {
+    return res.json({ status: "error", message: "Invalid status." });
+  }
+  const result = await updateRequestStatus(
+    requestId,
+    newStatus,
+    req.admin.displayName,
+    rejectionReason || "",
+    { username: req.admin.username }
+  );
+  res.json(result);
+});
+
+app.post("/updatePaymentStatus", requireAdmin, async (req, res) => {
+  const { requestId, paymentStatus, note } = req.body;
+  try {
+    res.json(
+      await setPaymentStatus(
+        requestId,
+        paymentStatus,
+        req.admin.displayName,
+        note || ""
+      )
+    );
+  } catch (e) {
+    console.error(`updatePaymentStatus Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+app.post("/getLeaveCalendar", requireAdmin, async (req, res) => {
+  try {
+    res.json({ status: "success", ...(await buildLeaveCalendar(req.body)) });
+  } catch (e) {
+    console.error(`getLeaveCalendar Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+// The subscription URL for the logged-in admin's calendar app.
+app.post("/getCalendarFeedUrl", requireAdmin, async (req, res) => {
+  try {
+    const account = (await getAdminAccounts())[req.admin.username];
+    if (!account) {
+      return res.json({ status: "error", message: "Account not found." });
+    }
+    res.json({
+      status: "success",
+      url: `${PUBLIC_BASE_URL}/calendar/${encodeURIComponent(
+        account.username
+      )}/${getCalendarFeedToken(account)}.ics`,
+    });
+  } catch (e) {
+    console.error(`getCalendarFeedUrl Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+// Calendar apps can't log in, so the URL itself carries the admin's feed token.
+app.get("/calendar/:username/:token.ics", async (req, res) => {
+  try {
+    const account = (await getAdminAccounts())[
+      String(req.params.username).toLowerCase()
+    ];
+    const expected = Buffer.from(account ? getCalendarFeedToken(account) : "");
+    const token = Buffer.from(String(req.params.token));
+    if (
+      !account ||
+      token.length !== expected.length ||
+      !crypto.timingSafeEqual(token, expected)
+    ) {
+      return res.status(404).send("Not found.");
+    }
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Cache-Control": "private, max-age=300",
+    });
+    res.send(await buildCalendarFeed());
+  } catch (e) {
+    console.error(`calendar feed Error: ${e.stack}`);
+    res.status(500).send("Calendar unavailable.");
+  }
+});
+
+// Sends a report built by buildLeaveSummaryReport & co. as a CSV or Excel download.
+async function sendReport(req, res, name, report, sheetName) {
+  const fileName = `${name}_${toDateKey(report.from)}_${toDateKey(report.to)}`;
+  await appendAuditLog(
+    "Report",
+    "",
+    req.admin.displayName,
+    `${name} ${toDateKey(report.from)}..${toDateKey(report.to)}`
+  );
+  if (req.query.format === "xlsx") {
+    res.set(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.set("Content-Disposition", `attachment; filename="${fileName}.xlsx"`);
+    return res.send(reportToXlsx(report, sheetName));
+  }
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", `attachment; filename="${fileName}.csv"`);
+  res.send(reportToCsv(report));
+}
+
+// GET so the browser can download the file directly; the session cookie authenticates it.
+app.get("/admin/reports/leave-summary", requireAdmin, async (req, res) => {
+  try {
+    const report = await buildLeaveSummaryReport(req.query);
+    await sendReport(req, res, "leave-summary", report, "Leave Summary");
+  } catch (e) {
+    console.error(`leave-summary report Error: ${e.stack}`);
+    res.status(500).json({ status: "error", message: e.message });
+  }
+});
+
+app.get(
+  "/admin/reports/payment-reconciliation",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const report = await buildPaymentReconciliationReport(req.query);
+      await sendReport(req, res, "payment-reconciliation", report, "Payments");
+    } catch (e) {
+      console.error(`payment-reconciliation report Error: ${e.stack}`);
+      res.status(500).json({ status: "error", message: e.message });
+    }
+  }
+);
+
+// Given to the browser that submitted a request. Together with the employee ID it unlocks the
+// request's photo and document links and lets the employee cancel or amend it, which the
+// employee ID alone does not.
+function getRequestAccessToken(requestId) {
+  return crypto
+    .createHmac("sha256", FILE_LINK_SECRET)
+    .update(`request:${requestId}`)
+    .digest("hex");
+}
+
+function isValidRequestAccessToken(requestId, token) {
+  const received = Buffer.from(String(token || ""));
+  const expected = Buffer.from(getRequestAccessToken(requestId));
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+app.post("/getLeaveRequestDetails", async (req, res) => {
+  const { requestId, employeeId, accessToken } = req.body;
+  if (!requestId) {
+    return res.json({ status: "error", message: "No Request ID provided." });
+  }
+  try {
+    const request = await leaveStore.findRequest(requestId);
+    const isAdmin = Boolean(getAdminSession(req));
+    // Employees only see their own requests; the answer is the same either way so
+    // request IDs of other employees cannot be probed.
+    if (
+      !request ||
+      (!isAdmin && request.employeeId !== (employeeId || "").toString().trim())
+    ) {
+      return res.json({ status: "error", message: "Request ID not found." });
+    }
+    const withFiles =
+      isAdmin || isValidRequestAccessToken(request.requestId, accessToken);
+    res.json({
+      status: "success",
+      data: buildRequestDetails(request, { withFiles }),
+    });
+  } catch (e) {
+    console.error(`getLeaveRequestDetails Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+// Admins can list anyone's history. An employee must also send the ID and access token of
+// one of their own requests, so an employee ID alone reveals nothing.
+app.post("/getEmployeeRequestHistory", async (req, res) => {
+  const { employeeId, requestId, accessToken, page, limit } = req.body;
+  try {
+    const isAdmin = Boolean(getAdminSession(req));
+    if (!isAdmin) {
+      const request =
+        requestId && isValidRequestAccessToken(requestId, accessToken)
+          ? await leaveStore.findRequest(requestId)
+          : null;
+      if (
+        !request ||
+        request.employeeId !== (employeeId || "").toString().trim()
+      ) {
+        return res.json({ status: "error", message: "Request ID not found." });
+      }
+    }
+    res.json(
+      await getEmployeeRequestHistory(employeeId, {
+        page,
+        limit,
+        withFiles: isAdmin,
+      })
+    );
+  } catch (e) {
+    console.error(`getEmployeeRequestHistory Error: ${e.stack}`);
+    res.json({ status: "error", message: e.message });
+  }
+});
+
+// Telegram sends TELEGRAM_WEBHOOK_SECRET back in this header (set via setWebhook's secret_token).
+// Without a secret anyone could forge button presses, so every call is rejected.
+function isValidWebhookSecret(req) {
+  if (!TELEGRAM_WEBHOOK_SECRET) return false;
+  const received = Buffer.from(
+    String(req.get("X-Telegram-Bot-Api-Secret-Token") || "")
+  );
+  const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+// Returns the approver identity for a Telegram user, or null if they are not on the allow-list.
+async function resolveTelegramApprover(from) {
+  if (!from || !from.id) return null;
+  const admin = await findAdminByTelegramId(from.id);
+  if (!admin && !TELEGRAM_APPROVER_USER_IDS.includes(String(from.id))) {
+    return null;
+  }
+  const displayName =
+    (admin && admin.displayName) ||
+    [from.first_name, from.last_name].filter(Boolean).join(" ") ||
+    String(from.id);
+  const handle = from.username ? ` @${from.username}` : "";
+  return {
+    displayName,
+    // Stored in APPROVER_COL so the record names the person who pressed the button.
+    recordName: `${displayName} (Telegram${handle} ${from.id})`,
+    // Matched against a workflow step's `approvers`.
+    username: admin ? admin.username : "",
+    telegramUserId: String(from.id),
+  };
+}
+
+// Applies an approve/reject decision made in Telegram and updates the original message.
+async function applyTelegramDecision(
+  target,
+  requestId,
+  newStatus,
+  approver,
+  rejectionReason = ""
+) {
+  const result = await updateRequestStatus(
+    requestId,
+    newStatus,
+    approver.recordName,
+    rejectionReason,
+    approver
+  );
+  if (
+    result &&
+    result.status === "success" &&
+    (await isTrackedApprovalMessage(requestId, target.chatId, target.messageId))
+  ) {
+    return result; // updateRequestStatus already edited it, with the copies in other chats
+  }
+  // Messages sent before the outbox kept track of them are edited here, as before.
+  // Telegram gives the message back as plain text, so it has to be escaped before re-sending
+  // it as HTML.
+  const originalText = escapeHtml(target.text);
+  const request =
+    result && result.status === "success"
+      ? await leaveStore.findRequest(requestId)
+      : null;
+  if (result && result.status === "success" && result.nextStep) {
+    // Intermediate step: record it on the message and keep the buttons for the next approver.
+    await editTelegramMessage(
+      target.chatId,
+      target.messageId,
+      originalText +
+        `\n\n✅ <b>${result.approvedStep.label}:</b> ${escapeHtml(
+          approver.displayName
+        )}\n⏳ <b>រង់ចាំ:</b> ${result.nextStep.label}`,
+      buildApprovalKeyboard(requestId, request)
+    );
+  } else if (result && result.status === "success") {
+    let newText =
+      originalText +
+      `\n\n------------------------------------\n<b>${
+        newStatus === "Approved" ? "✅ Approved" : "❌ Rejected"
+      } by: ${escapeHtml(approver.displayName)}</b>`;
+    if (rejectionReason)
+      newText += `\n<b>មូលហេតុ:</b> ${escapeHtml(rejectionReason)}`;
+    // Approved requests keep the payment button until the receipt is checked.
+    const paymentButtons =
+      request && newStatus === "Approved" ? buildPaymentButtons(request) : [];
+    await editTelegramMessage(
+      target.chatId,
+      target.messageId,
+      newText,
+      paymentButtons.length > 0 ? { inline_keyboard: paymentButtons } : null
+    );
+  } else {
+    await editTelegramMessage(
+      target.chatId,
+      target.messageId,
+      originalText +
+        "\n\n" +
+        `⚠️ Action Failed!\n${escapeHtml(
+          result ? result.message : "Unknown error."
+        )}`
+    );
+  }
+  return result || { status: "error", message: "Unknown error." };
+}
+
+async function getRequestLeaveType(requestId) {
+  const request = await leaveStore.findRequest(requestId);
+  return request ? request.leaveType : null;
+}
+
+async function handleCallbackQuery(callbackQuery) {
+  const data = callbackQuery.data || "";
+  const message = callbackQuery.message;
+  const chatId = message.chat.id;
+  const messageId = message.message_id;
+  const target = { chatId, messageId, text: message.text };
+
+  // Sent to an employee's linked private chat, not to approvers.
+  if (data.startsWith("linkconfirm_") || data.startsWith("linkdecline_")) {
+    return handleTelegramLinkConfirmation(callbackQuery);
+  }
+  if (!TELEGRAM_APPROVER_CHAT_IDS.includes(String(chatId))) {
+    console.warn(`Webhook: callback from chat ${chatId} is not allowed`);
+    await answerCallbackQuery(
+      callbackQuery.id,
+      "⛔ Chat នេះមិនមានសិទ្ធិ។",
+      true
+    );
+    return;
+  }
+
+  const dataParts = data.split("_");
+  const action = dataParts[0];
+  const requestId = dataParts[1];
+  const approver = await resolveTelegramApprover(callbackQuery.from);
+  if (!approver) {
+    console.warn(
+      `Webhook: ${action} on ${requestId} refused for Telegram user ${
+        callbackQuery.from && callbackQuery.from.id
+      }`
+    );
+    await answerCallbackQuery(
+      callbackQuery.id,
+      "⛔ អ្នកមិនមានសិទ្ធិសម្រេចលើសំណើនេះទេ។",
+      true
+    );
+    return;
+  }
+
+  if (action === "approve") {
+    const result = await applyTelegramDecision(
+      target,
+      requestId,
+      "Approved",
+      approver
+    );
+    await answerCallbackQuery(
+      callbackQuery.id,
+      result.status === "success" ? "✅ បានយល់ព្រម" : `⚠️ ${result.message}`,
+      result.status !== "success"
+    );
+  } else if (action === "reject") {
+    // Rejection is only finalized once a reason is chosen or typed.
+    const leaveType = await getRequestLeaveType(requestId);
+    await editTelegramReplyMarkup(
+      chatId,
+      messageId,
+      buildRejectionReasonKeyboard(requestId, leaveType)
+    );
+    await answerCallbackQuery(
+      callbackQuery.id,
+      "សូមជ្រើសរើសមូលហេតុនៃការបដិសេធ"
+    );
+  } else if (action === "rejectreason") {
+    const leaveType = await getRequestLeaveType(requestId);
+    const reason = getRejectionReasons(leaveType)[parseInt(dataParts[2], 10)];
+    if (!reason) {
+      await answerCallbackQuery(
+        callbackQuery.id,
+        "⚠️ មូលហេតុមិនត្រឹមត្រូវ។",
+        true
+      );
+      return;
+    }
+    const result = await applyTelegramDecision(
+      target,
+      requestId,
+      "Rejected",
+      approver,
+      reason
+    );
+    await answerCallbackQuery(
+      callbackQuery.id,
+      result.status === "success" ? "❌ បានបដិសេធ" : `⚠️ ${result.message}`,
+      result.status !== "success"
+    );
+  } else if (action === "rejectcustom") {
+    // `selective` only shows the forced reply to users mentioned in the message, so the
+    // approver who pressed the button is mentioned by ID.
+    const from = callbackQuery.from;
+    const prompt = await sendTelegramMessage(
+      chatId,
+      `<a href="tg://user?id=${from.id}">${escapeHtml(
+        from.first_name || from.username || from.id
+      )}</a> ✍️ សូមឆ្លើយតបសារនេះដោយសរសេរមូលហេតុនៃការបដិសេធសំណើ <b>${requestId}</b>`,
+      { force_reply: true, selective: true }
+    );
+    if (prompt) {
+      scriptCache.set(
+        `reject_reply_${chatId}_${prompt.message_id}`,
+        { requestId, target, fromId: String(from.id) },
+        REJECTION_REPLY_TTL
+      );
+    }
+    await answerCallbackQuery(callbackQuery.id, "សូមសរសេរមូលហេតុ");
+  } else if (action === "rejectback") {
+    await editTelegramReplyMarkup(
+      chatId,
+      messageId,
+      buildApprovalKeyboard(requestId, await leaveStore.findRequest(requestId))
+    );
+    await answerCallbackQuery(callbackQuery.id);
+  } else if (action === "payverify") {
+    const result = await setPaymentStatus(
+      requestId,
+      "Verified",
+      approver.recordName
+    );
+    if (result.status === "success") {
+      await editTelegramMessage(
+        chatId,
+        messageId,
+        escapeHtml(target.text) +
+          `\n\n💵 <b>បានផ្ទៀងផ្ទាត់ការបង់ប្រាក់ដោយ:</b> ${escapeHtml(
+            approver.displayName
+          )}`,
+        removePaymentButtons(message.reply_markup)
+      );
+    }
+    await answerCallbackQuery(
+      callbackQuery.id,
+      result.status === "success"
+        ? "💵 បានផ្ទៀងផ្ទាត់"
+        : `⚠️ ${result.message}`,
+      result.status !== "success"
+    );
+  } else {
+    await answerCallbackQuery(callbackQuery.id);
   }
 }
 
-async function getMonthlyLeaveStats(employeeId) {
-  // This function remains largely for notification purposes.
-  // It is computationally expensive. For a high-performance system, consider a summary sheet updated by triggers.
-  const now = new Date();
-  const currentMonth = now.getMonth();
-  const currentYear = now.getFullYear();
-  let stats = {
-    totalRequests: 0,
-    totalDays: 0,
-    permissionCount: 0,
-    leaveCount: 0,
-  };
-
-  for (const sheetName of ALL_LEAVE_SHEETS) {
-    try {
-      const result = await sheets.spreadsheets.values.get({
-        spreadsheetId: LEAVE_SPREADSHEET_ID,
-        range: `${sheetName}!C2:J`,
-      });
-      const rows = result.data.values;
-      if (!rows) continue;
+// --- EMPLOYEE TELEGRAM LINKING ---
+// The form asks for a one-time code and opens t.me/<bot>?start=<code>; the bot receives
+// "/start <code>" from the employee's private chat and stores employeeId → chat ID.
+// A code is only issued with the access token of one of the employee's own requests (or to
+// an admin), and a chat that is already linked must confirm before the link moves elsewhere.
 
-      rows.forEach((row) => {
-        const rowEmployeeId = row[0] ? row[0].toString().trim() : "";
-        const status = row[STATUS_COL - EMPLOYEE_ID_COL];
-        const requestDate = new Date(row[START_DATE_COL - EMPLOYEE_ID_COL]);
+async function getTelegramLinks() {
+  let links = scriptCache.get(CACHE_TELEGRAM_LINKS_KEY);
+  if (!links) {
+    links = await leaveStore.loadTelegramLinks();
+    scriptCache.set(CACHE_TELEGRAM_LINKS_KEY, links);
+  }
+  return links;
+}
 
-        if (
-          rowEmployeeId === employeeId &&
-          status === "Approved" &&
-          requestDate.getMonth() === currentMonth &&
-          requestDate.getFullYear() === currentYear
-        ) {
-          stats.totalRequests++;
-          const days = getNumericDayValue(row[DAYS_COL - EMPLOYEE_ID_COL]);
-          stats.totalDays += days;
-          if (sheetName === PERMISSION_SHEET_NAME) stats.permissionCount++;
-          else if (sheetName === LEAVE_SHEET_NAME) stats.leaveCount++;
-        }
-      });
-    } catch (e) {
-      /* Ignore sheet not found */
+async function createTelegramLinkCode(
+  employeeId,
+  { requestId, accessToken, isAdmin } = {}
+) {
+  const trimmedEmployeeId = (employeeId || "").toString().trim();
+  if (!TELEGRAM_BOT_USERNAME) {
+    return { status: "error", message: "Telegram មិនទាន់បានកំណត់ទេ។" };
+  }
+  const employeeMap = await getEmployeeMap();
+  if (!employeeMap[trimmedEmployeeId]) {
+    return { status: "error", message: "អត្តលេខមិនត្រឹមត្រូវ។" };
+  }
+  if (!isAdmin) {
+    const request =
+      requestId && isValidRequestAccessToken(requestId, accessToken)
+        ? await leaveStore.findRequest(requestId)
+        : null;
+    if (!request || request.employeeId !== trimmedEmployeeId) {
+      return {
+        status: "error",
+        message: "សូមដាក់ស្នើសំណើពីឧបករណ៍នេះជាមុនសិន ដើម្បីភ្ជាប់ Telegram។",
+      };
     }
   }
-  return stats;
+  const code = crypto.randomBytes(16).toString("hex");
+  scriptCache.set(`tg_link_${code}`, trimmedEmployeeId, TELEGRAM_LINK_CODE_TTL);
+  return {
+    status: "success",
+    url: `https://t.me/${TELEGRAM_BOT_USERNAME}?start=${code}`,
+  };
 }
 
-// --- API Endpoints ---
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
-});
-
-app.post("/verifyEmployeeAndGetStatus", async (req, res) => {
-  const { employeeId } = req.body;
+async function completeTelegramLink(message, code) {
+  const chatId = message.chat.id;
+  const employeeId = scriptCache.get(`tg_link_${code}`);
   if (!employeeId) {
-    return res.json({
-      verificationStatus: "error",
-      message: "សូម​បញ្ចូល​អត្តលេខ។",
-    });
+    return sendTelegramMessage(
+      chatId,
+      "⚠️ តំណនេះផុតកំណត់ហើយ។ សូមចុច 'ភ្ជាប់ Telegram' ម្តងទៀតពីទម្រង់។"
+    );
   }
-  const employeeCheck = await checkEmployeeId(employeeId);
-  if (employeeCheck.status === "error") {
-    return res.json({
-      verificationStatus: "error",
-      message: employeeCheck.message,
-    });
+  scriptCache.del(`tg_link_${code}`);
+
+  const linkedChatId = (await getTelegramLinks())[employeeId];
+  if (linkedChatId && linkedChatId !== String(chatId)) {
+    const confirmCode = crypto.randomBytes(16).toString("hex");
+    scriptCache.set(
+      `tg_relink_${confirmCode}`,
+      { employeeId, chatId: String(chatId) },
+      TELEGRAM_LINK_CODE_TTL
+    );
+    const sent = await sendTelegramMessage(
+      linkedChatId,
+      `⚠️ មាន Telegram ផ្សេងស្នើសុំភ្ជាប់ជាមួយអត្តលេខ <b>${escapeHtml(
+        employeeId
+      )}</b>។ បើយល់ព្រម ដំណឹងនឹងលែងផ្ញើមកទីនេះទៀត។`,
+      {
+        inline_keyboard: [
+          [
+            {
+              text: "✅ យល់ព្រម",
+              callback_data: `linkconfirm_${confirmCode}`,
+            },
+            { text: "❌ បដិសេធ", callback_data: `linkdecline_${confirmCode}` },
+          ],
+        ],
+      }
+    );
+    return sendTelegramMessage(
+      chatId,
+      sent
+        ? "⏳ អត្តលេខនេះបានភ្ជាប់ជាមួយ Telegram ផ្សេងរួចហើយ។ សូមយល់ព្រមពី Telegram នោះ។"
+        : "⚠️ អត្តលេខនេះបានភ្ជាប់ជាមួយ Telegram ផ្សេងរួចហើយ។ សូមទាក់ទងអ្នកគ្រប់គ្រង។"
+    );
   }
-  const leaveStatus = await getUserStatus(employeeId);
-  if (leaveStatus.status === "Error") {
-    return res.json({
-      verificationStatus: "error",
-      message: leaveStatus.message,
-    });
+  return saveEmployeeTelegramLink(employeeId, chatId);
+}
+
+async function saveEmployeeTelegramLink(employeeId, chatId) {
+  await leaveStore.saveTelegramLink(employeeId, String(chatId));
+  scriptCache.del(CACHE_TELEGRAM_LINKS_KEY);
+  await appendAuditLog("TelegramLink", "", employeeId, String(chatId));
+
+  const employee = (await getEmployeeMap())[employeeId];
+  await sendTelegramMessage(
+    chatId,
+    `✅ បានភ្ជាប់ Telegram ជាមួយអត្តលេខ <b>${employeeId}</b>${
+      employee ? ` (${escapeHtml(employee.name)})` : ""
+    }។ អ្នកនឹងទទួលបានដំណឹងអំពីសំណើរបស់អ្នកនៅទីនេះ។`
+  );
+}
+
+// The answer from the currently linked chat to a request to move the link to another chat.
+async function handleTelegramLinkConfirmation(callbackQuery) {
+  const [action, confirmCode] = (callbackQuery.data || "").split("_");
+  const message = callbackQuery.message;
+  const chatId = String(message.chat.id);
+  const pending = scriptCache.get(`tg_relink_${confirmCode}`);
+  if (!pending || (await getTelegramLinks())[pending.employeeId] !== chatId) {
+    await editTelegramMessage(
+      chatId,
+      message.message_id,
+      "⚠️ សំណើនេះផុតកំណត់ហើយ។"
+    );
+    return answerCallbackQuery(callbackQuery.id);
   }
-  res.json({
-    verificationStatus: "success",
-    employeeInfo: {
-      name: employeeCheck.name,
-      photoUrl: employeeCheck.photoUrl,
-    },
-    leaveStatus: leaveStatus,
-  });
-});
+  scriptCache.del(`tg_relink_${confirmCode}`);
 
-app.post("/checkForDuplicateRequests", async (req, res) => {
-  const {
-    employeeId,
-    startDate,
-    leaveType,
-    requestId: currentRequestId,
-  } = req.body;
-  // Simplified logic for Node.js - checking for duplicates can be resource-intensive.
-  // A robust solution might involve a database query. Here we replicate the sheet scan.
+  if (action !== "linkconfirm") {
+    await editTelegramMessage(
+      chatId,
+      message.message_id,
+      "❌ បានបដិសេធការភ្ជាប់ Telegram ផ្សេង។"
+    );
+    await sendTelegramMessage(
+      pending.chatId,
+      "❌ ការភ្ជាប់ Telegram ត្រូវបានបដិសេធ។"
+    );
+    return answerCallbackQuery(callbackQuery.id);
+  }
+  await editTelegramMessage(
+    chatId,
+    message.message_id,
+    "✅ បានផ្ទេរការជូនដំណឹងទៅ Telegram ផ្សេង។"
+  );
+  await saveEmployeeTelegramLink(pending.employeeId, pending.chatId);
+  return answerCallbackQuery(callbackQuery.id);
+}
+
+// Sends a personal message if the employee has linked Telegram; never throws.
+async function notifyEmployee(employeeId, message) {
   try {
-    const result = await sheets.spreadsheets.values.get({
-      spreadsheetId: LEAVE_SPREADSHEET_ID,
-      range: `${leaveType}!B2:F`,
-    });
-    const rows = result.data.values;
-    if (!rows) return res.json({ isDuplicate: false });
-
-    const requestDate = new Date(startDate);
-    requestDate.setHours(0, 0, 0, 0);
-
-    for (const row of rows) {
-      const existingRequestId = row[0];
-      const existingEmployeeId = row[EMPLOYEE_ID_COL - REQUEST_ID_COL]
-        ? row[EMPLOYEE_ID_COL - REQUEST_ID_COL].toString().trim()
-        : "";
-      if (existingEmployeeId === employeeId) {
-        const existingDate = new Date(row[START_DATE_COL - REQUEST_ID_COL]);
-        existingDate.setHours(0, 0, 0, 0);
-        if (existingDate.getTime() === requestDate.getTime()) {
-          if (currentRequestId && existingRequestId === currentRequestId)
-            continue;
-          return res.json({
-            isDuplicate: true,
-            message: `អត្តលេខ ${employeeId} បានស្នើសុំ '${leaveType}' សម្រាប់ថ្ងៃនេះរួចហើយ។`,
-          });
-        }
-      }
-    }
-    res.json({ isDuplicate: false });
+    const links = await getTelegramLinks();
+    const chatId = links[(employeeId || "").toString().trim()];
+    if (!chatId) return false;
+    await enqueueTelegramMessage("action", chatId, message);
+    kickOutbox();
+    return true;
   } catch (e) {
-    console.error(`Error in checkForDuplicateRequests: ${e.stack}`);
-    res.json({ isDuplicate: false, error: e.message });
+    console.error(`notifyEmployee Error: ${e.message}`);
+    return false;
   }
-});
+}
 
-app.post("/submitLeaveRequest", async (req, res) => {
-  const leaveDetails = req.body;
-  try {
-    const timestamp = new Date();
-    const requestId = `REQ-${timestamp.getTime()}`;
-    let selfieUrl = "";
-    let locationLink = "";
+// --- TELEGRAM BOT COMMANDS ---
+// Only answered in approver chats, the same chats whose approve/reject buttons are honoured.
 
-    // MODIFIED: Skip selfie and location for 'ច្បាប់ចេញក្រៅ'
-    if (leaveDetails.leaveType !== PERMISSION_SHEET_NAME) {
-      if (
-        leaveDetails.selfieImageData &&
-        isBase64Image(leaveDetails.selfieImageData)
-      ) {
-        selfieUrl = await saveImageToDrive(
-          leaveDetails.selfieImageData,
-          `Selfie_${leaveDetails.employeeId}_${requestId}`,
-          SELFIE_DRIVE_FOLDER_ID
-        );
-      }
-      if (leaveDetails.latitude && leaveDetails.longitude) {
-        locationLink = `http://maps.google.com/maps?q=${leaveDetails.latitude},${leaveDetails.longitude}`;
-      }
-    }
+const BOT_COMMANDS = [
+  { command: "pending", description: "សំណើដែលកំពុងរង់ចាំការសម្រេច" },
+  { command: "today", description: "អ្នកដែលមិនទាន់ចូលមកវិញថ្ងៃនេះ" },
+  { command: "stats", description: "ស្ថិតិប្រចាំខែ: /stats អត្តលេខ" },
+  { command: "find", description: "ស្វែងរក: /find ឈ្មោះ ឬ អត្តលេខ" },
+];
+const BOT_LIST_LIMIT = 10;
+const BOT_STATUS_LABELS = {
+  Pending: "⏳ រង់ចាំ",
+  Approved: "✅ អនុម័ត",
+  Rejected: "❌ បដិសេធ",
+  Cancelled: "🚫 បោះបង់",
+  CheckedIn: "🏠 ចូលមកវិញ",
+  OverdueTime: "⚠️ ហួសម៉ោង",
+  OverdueDay: "⚠️ ហួសថ្ងៃ",
+};
 
-    let documentUrlsJson = "";
-    // Document images are only for "ច្បាប់ឈប់សម្រាក", but we check for data just in case.
-    if (
-      leaveDetails.documentImageData &&
-      leaveDetails.documentImageData.startsWith("[")
-    ) {
-      const images = JSON.parse(leaveDetails.documentImageData);
-      const urls = await Promise.all(
-        images.map((imgData, i) =>
-          saveImageToDrive(
-            imgData,
-            `Document_${leaveDetails.employeeId}_${requestId}_${i + 1}`,
-            DOCUMENT_DRIVE_FOLDER_ID
-          )
-        )
-      );
-      documentUrlsJson = JSON.stringify(urls.filter(Boolean));
-    }
+const formatRequestLine = (request, now = new Date()) =>
+  `• <b>${escapeHtml(request.employeeName)}</b> (ID: ${request.employeeId}) — ${
+    request.leaveType
+  }, ${request.startDate}${
+    request.endDate && request.endDate !== request.startDate
+      ? ` ដល់ ${request.endDate}`
+      : ""
+  } [${request.numberOfDays}] ${
+    BOT_STATUS_LABELS[getDashboardStatus(request, now)] || request.status
+  }`;
 
-    let paymentReceiptUrl = "";
-    if (leaveDetails.paymentReceiptImageData) {
-      paymentReceiptUrl = await saveImageToDrive(
-        leaveDetails.paymentReceiptImageData,
-        `Payment_${leaveDetails.employeeId}_${requestId}`,
-        PAYMENT_RECEIPT_DRIVE_FOLDER_ID
-      );
-    }
+async function sendPendingRequests(chatId) {
+  const pending = (await leaveStore.listRequests())
+    .filter((request) => request.status === "Pending")
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (pending.length === 0) {
+    return sendTelegramMessage(chatId, "✅ មិនមានសំណើកំពុងរង់ចាំទេ។");
+  }
+  await sendTelegramMessage(
+    chatId,
+    `<b>⏳ សំណើកំពុងរង់ចាំ: ${pending.length}</b>${
+      pending.length > BOT_LIST_LIMIT
+        ? ` (បង្ហាញ ${BOT_LIST_LIMIT} ចាស់ជាងគេ)`
+        : ""
+    }`
+  );
+  for (const request of pending.slice(0, BOT_LIST_LIMIT)) {
+    await sendTelegramMessage(
+      chatId,
+      `${buildRequestSummary(request)}\n<b>មូលហេតុ:</b> ${escapeHtml(
+        request.reason
+      )}`,
+      buildApprovalKeyboard(request.requestId, request)
+    );
+  }
+}
 
-    const monthlyStats = await getMonthlyLeaveStats(leaveDetails.employeeId);
+// Approved and not yet back: out today, or overdue from an earlier day.
+async function sendTodayAbsences(chatId) {
+  const now = new Date();
+  const todayKey = toDateKey(now);
+  const absent = (await leaveStore.listRequests()).filter(
+    (request) =>
+      request.status === "Approved" &&
+      !request.checkInTimestamp &&
+      (requestCoversDate(request, todayKey) ||
+        getDashboardStatus(request, now).startsWith("Overdue"))
+  );
+  if (absent.length === 0) {
+    return sendTelegramMessage(
+      chatId,
+      `✅ ថ្ងៃនេះ (${todayKey}) មិនមានអ្នកឈប់ ឬចេញក្រៅទេ។`
+    );
+  }
+  await sendTelegramMessage(
+    chatId,
+    `<b>📅 អ្នកដែលមិនទាន់ចូលមកវិញ (${todayKey}): ${
+      absent.length
+    } នាក់</b>\n------------------------------------\n${absent
+      .map((request) => formatRequestLine(request, now))
+      .join("\n")}`
+  );
+}
 
-    const newRow = [
-      timestamp.toISOString(),
-      requestId,
-      leaveDetails.employeeId,
-      leaveDetails.employeeName,
-      leaveDetails.leaveType,
-      leaveDetails.startDate,
-      leaveDetails.endDate,
-      leaveDetails.numberOfDays,
-      leaveDetails.reason,
-      "Pending",
-      "",
-      selfieUrl,
-      "",
-      documentUrlsJson,
-      locationLink,
-      "",
-      "",
-      "",
-      "",
-      paymentReceiptUrl,
-      "",
-    ];
+async function sendEmployeeStats(chatId, employeeId) {
+  if (!employeeId) {
+    return sendTelegramMessage(chatId, "សូមបញ្ចូលអត្តលេខ: /stats អត្តលេខ");
+  }
+  const employee = (await getEmployeeMap())[employeeId];
+  if (!employee) {
+    return sendTelegramMessage(chatId, "អត្តលេខមិនត្រឹមត្រូវ។");
+  }
+  const stats = await getMonthlyLeaveStats(employeeId);
+  await sendTelegramMessage(
+    chatId,
+    `<b>ឈ្មោះ:</b> ${escapeHtml(
+      employee.name
+    )} (ID: ${employeeId})\n\n${formatMonthlyStats(stats)}`
+  );
+}
 
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: LEAVE_SPREADSHEET_ID,
-      range: `${leaveDetails.leaveType}!A1`,
-      valueInputOption: "USER_ENTERED",
-      requestBody: { values: [newRow] },
-    });
-
-    // Build and send notification
-    let daysDisplay = leaveDetails.numberOfDays;
-    const numericDays = getNumericDayValue(daysDisplay);
-    if (numericDays > 0 && !isNaN(parseFloat(daysDisplay))) {
-      daysDisplay += " ថ្ងៃ";
-    }
-
-    let notificationMessage = `<b>📢 សំណើសុំច្បាប់ថ្មី</b>\n`;
-    notificationMessage += `------------------------------------\n`;
-    notificationMessage += `<b>ឈ្មោះ:</b> ${leaveDetails.employeeName} (ID: ${leaveDetails.employeeId})\n`;
-    notificationMessage += `<b>ប្រភេទច្បាប់:</b> ${leaveDetails.leaveType}\n`;
-    notificationMessage += `<b>ពីថ្ងៃ:</b> ${leaveDetails.startDate} <b>ដល់</b> ${leaveDetails.endDate}\n`;
-    notificationMessage += `<b>ចំនួន:</b> ${daysDisplay}\n`;
-    notificationMessage += `<b>មូលហេតុ:</b> ${leaveDetails.reason}`;
-    if (selfieUrl)
-      notificationMessage += `\n<b>រូបថត:</b> <a href="${selfieUrl}">មើលរូបថត</a>`;
-    if (locationLink)
-      notificationMessage += `\n<b>📍 ទីតាំង:</b> <a href="${locationLink}">ចុចមើលទីតាំង</a>`;
-    if (paymentReceiptUrl)
-      notificationMessage += `\n<b>វិក័យបត្រ:</b> <a href="${paymentReceiptUrl}">មើលវិក័យបត្រ</a>`;
-
-    const khmerMonthYear = new Date().toLocaleString("km-KH", {
-      month: "long",
-      year: "numeric",
-    });
-    notificationMessage += `\n\n<b>📊 ប្រវត្តិសុំច្បាប់ (បានអនុម័ត) ${khmerMonthYear}</b>\n`;
-    notificationMessage += `------------------------------------\n`;
-    notificationMessage += `<b>- ចំនួនដងសរុប:</b> ${monthlyStats.totalRequests} ដង\n`;
-    notificationMessage += `<b>- ចំនួនថ្ងៃសរុប:</b> ${monthlyStats.totalDays} ថ្ងៃ\n`;
-    notificationMessage += `<b>- ច្បាប់ចេញក្រៅ:</b> ${monthlyStats.permissionCount} ដង\n`;
-    notificationMessage += `<b>- ច្បាប់ឈប់សម្រាក:</b> ${monthlyStats.leaveCount} ដង`;
-    notificationMessage += `\n------------------------------------\nសូមធ្វើការសម្រេចចិត្តខាងក្រោម 👇`;
-
-    const adminKey = "mmk110011";
-    const keyboard = {
-      inline_keyboard: [
-        [
-          {
-            text: "✅ យល់ព្រម",
-            callback_data: `approve_${requestId}_${adminKey}`,
-          },
-          {
-            text: "❌ បដិសេធ",
-            callback_data: `reject_${requestId}_${adminKey}`,
-          },
-        ],
-      ],
-    };
+async function sendFindResults(chatId, query) {
+  if (!query) {
+    return sendTelegramMessage(chatId, "សូមបញ្ចូលឈ្មោះ ឬអត្តលេខ: /find ឈ្មោះ");
+  }
+  const needle = query.toLowerCase();
+  const matches = (await leaveStore.listRequests())
+    .filter(
+      (request) =>
+        request.employeeId.toLowerCase() === needle ||
+        request.requestId === query ||
+        String(request.employeeName).toLowerCase().includes(needle)
+    )
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if (matches.length === 0) {
+    return sendTelegramMessage(
+      chatId,
+      `រកមិនឃើញសំណើសម្រាប់ "${escapeHtml(query)}" ទេ។`
+    );
+  }
+  await sendTelegramMessage(
+    chatId,
+    `<b>🔎 លទ្ធផលសម្រាប់ "${escapeHtml(query)}": ${matches.length}</b>${
+      matches.length > BOT_LIST_LIMIT
+        ? ` (បង្ហាញ ${BOT_LIST_LIMIT} ថ្មីបំផុត)`
+        : ""
+    }\n------------------------------------\n${matches
+      .slice(0, BOT_LIST_LIMIT)
+      .map(
+        (request) =>
+          `${formatRequestLine(request)}\n   <code>${request.requestId}</code>`
+      )
+      .join("\n")}`
+  );
+}
 
-    await sendTelegramNotification(notificationMessage, keyboard);
+async function handleBotCommand(message) {
+  const chatId = message.chat.id;
+  const [rawCommand, ...args] = message.text.trim().split(/\s+/);
+  const command = rawCommand.slice(1).split("@")[0].toLowerCase(); // "/find@MyBot" in groups
+  const argument = args.join(" ").trim();
 
-    res.json({ status: "success", requestId: requestId });
-  } catch (e) {
-    console.error(`submitLeaveRequest Error: ${e.stack}`);
-    res.json({
-      status: "error",
-      message: `ការដាក់ស្នើបានបរាជ័យ: ${e.message}`,
-    });
+  // Employees linking their account arrive from any private chat.
+  if (command === "start" && argument && message.chat.type === "private") {
+    return completeTelegramLink(message, argument);
   }
-});
+  if (!TELEGRAM_APPROVER_CHAT_IDS.includes(String(chatId))) return;
 
-// Other endpoints like getRequestStatus, submitCheckIn, etc. would be converted similarly...
-// Below are a few key ones for functionality.
-
-app.post("/getRequestStatus", async (req, res) => {
-  const { requestId } = req.body;
-  if (!requestId)
-    return res.json({ status: "Error", message: "No Request ID provided." });
-  try {
-    const found = await findRequestRow(LEAVE_SPREADSHEET_ID, requestId);
-    if (found) {
-      const result = await sheets.spreadsheets.values.get({
-        spreadsheetId: LEAVE_SPREADSHEET_ID,
-        range: `${found.sheet}!A${found.row}:U${found.row}`,
-      });
-      const rowData = result.data.values[0];
-      const statusValue = rowData[STATUS_COL - 1];
-      const leaveType = rowData[LEAVE_TYPE_COL - 1];
-      const checkInTimestamp = rowData[CHECKIN_TIMESTAMP_COL - 1];
-      const adminCheckinNote = rowData[ADMIN_CHECKIN_NOTE_COL - 1];
+  switch (command) {
+    case "pending":
+      return sendPendingRequests(chatId);
+    case "today":
+      return sendTodayAbsences(chatId);
+    case "stats":
+      return sendEmployeeStats(chatId, argument);
+    case "find":
+      return sendFindResults(chatId, argument);
+    case "start":
+    case "help":
+      return sendTelegramMessage(
+        chatId,
+        BOT_COMMANDS.map(
+          (botCommand) => `/${botCommand.command} — ${botCommand.description}`
+        ).join("\n")
+      );
+    default:
+      return; // Other bots' commands in a group chat
+  }
+}
 
-      if (statusValue === "Approved" && checkInTimestamp && adminCheckinNote) {
-        return res.json({ status: "AdminCheckedIn", leaveType });
-      }
-      if (statusValue === "Rejected") {
-        return res.json({
-          status: "Rejected",
-          leaveType,
-          reason: adminCheckinNote || "",
-        });
-      }
-      return res.json({ status: statusValue, leaveType });
-    }
-    res.json({ status: "Not Found" });
-  } catch (e) {
-    console.error(`getRequestStatus Error: ${e.stack}`);
-    res.json({ status: "Error", message: e.message });
+// Handles free-text rejection reasons typed as a reply to the force_reply prompt.
+async function handleTelegramMessage(message) {
+  if (message.text && message.text.startsWith("/")) {
+    return handleBotCommand(message);
   }
-});
+  if (!message.reply_to_message || !message.text) return;
+  const pendingKey = `reject_reply_${message.chat.id}_${message.reply_to_message.message_id}`;
+  const pending = scriptCache.get(pendingKey);
+  if (!pending || String(message.from.id) !== pending.fromId) return;
 
-app.post("/getLeaveRequestDetails", async (req, res) => {
-  // A simplified conversion. This function would mirror getRequestStatus but return more columns.
-  // Full implementation would be similar to getRequestStatus.
-  // ...
-});
+  const approver = await resolveTelegramApprover(message.from);
+  if (!approver) return;
+  scriptCache.del(pendingKey);
+
+  const result = await applyTelegramDecision(
+    pending.target,
+    pending.requestId,
+    "Rejected",
+    approver,
+    message.text.trim()
+  );
+  await sendTelegramMessage(
+    message.chat.id,
+    result.status === "success"
+      ? `❌ បានបដិសេធសំណើ <b>${pending.requestId}</b>`
+      : `⚠️ ${result.message}`
+  );
+}
 
 app.post("/webhook", async (req, res) => {
   // This is the new doPost
+  if (!isValidWebhookSecret(req)) {
+    console.warn(`Webhook: rejected request with a bad secret token`);
+    return res.status(401).send({ status: "unauthorized" });
+  }
   try {
-    const callbackQuery = req.body.callback_query;
-    if (callbackQuery) {
-      const data = callbackQuery.data;
-      const message = callbackQuery.message;
-      const chatId = message.chat.id;
-      const messageId = message.message_id;
-
-      const dataParts = data.split("_");
-      const action = dataParts[0];
-      const requestId = dataParts[1];
-      const adminKey = dataParts[2];
-      const approverName = ADMIN_ROLES[adminKey] || DEFAULT_ADMIN_NAME;
-
-      let result;
-      if (action === "approve") {
-        result = await updateRequestStatus(requestId, "Approved", approverName);
-      } else if (action === "reject") {
-        result = await updateRequestStatus(
-          requestId,
-          "Rejected",
-          approverName,
-          "Rejected via Telegram"
-        );
-      }
-
-      if (result && result.status === "success") {
-        const newText =
-          message.text +
-          `\n\n------------------------------------\n<b>${
-            action === "approve" ? "✅ Approved" : "❌ Rejected"
-          } by: ${approverName}</b>`;
-        await editTelegramMessage(chatId, messageId, newText);
-      } else {
-        const errorText = `⚠️ Action Failed!\n${
-          result ? result.message : "Unknown error."
-        }`;
-        await editTelegramMessage(
-          chatId,
-          messageId,
-          message.text + "\n\n" + errorText
-        );
-      }
+    if (req.body.callback_query) {
+      await handleCallbackQuery(req.body.callback_query);
+    } else if (req.body.message) {
+      await handleTelegramMessage(req.body.message);
     }
   } catch (err) {
     console.error(`Webhook Error: ${err.stack}`);
@@ -694,73 +5616,216 @@ app.post("/webhook", async (req, res) => {
   res.status(200).send({ status: "ok" });
 });
 
+// --- APPROVAL WORKFLOW ---
+
+// The workflow steps that apply to this request, or [] for single-tap approval.
+function getApprovalSteps(request) {
+  const workflow = APPROVAL_WORKFLOWS[request.leaveType];
+  if (
+    !workflow ||
+    !Array.isArray(workflow.steps) ||
+    getNumericDayValue(request.numberOfDays) < (workflow.minDays || 0)
+  ) {
+    return [];
+  }
+  return workflow.steps;
+}
+
+function getApprovalHistory(request) {
+  try {
+    const history = JSON.parse(request.approvalHistory || "[]");
+    return Array.isArray(history) ? history : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// { key, label, index, total } of the step a pending request is waiting for, or null.
+function getPendingApprovalStep(request) {
+  if (request.status !== "Pending") return null;
+  const steps = getApprovalSteps(request);
+  const index = getApprovalHistory(request).length;
+  if (index >= steps.length) return null;
+  return {
+    key: steps[index].key,
+    label: steps[index].label,
+    index: index + 1,
+    total: steps.length,
+  };
+}
+
+function canApproveStep(step, approver) {
+  if (!Array.isArray(step.approvers) || step.approvers.length === 0) {
+    return true;
+  }
+  return [approver.username, approver.telegramUserId]
+    .filter(Boolean)
+    .some((id) => step.approvers.map(String).includes(String(id)));
+}
+
+// `approver` identifies who is acting ({ username } from the dashboard, or the Telegram
+// identity) so workflow steps can check their allow-lists. Approving an intermediate step
+// keeps the request "Pending" and returns { approvedStep, nextStep }.
 async function updateRequestStatus(
   requestId,
   newStatus,
   approverRole,
-  rejectionReason = ""
+  rejectionReason = "",
+  approver = {}
 ) {
-  // This function is called internally by the webhook
+  // Called from the Telegram webhook and the dashboard's /updateRequestStatus route
   if (!requestId || !newStatus)
     return {
       status: "error",
       message: "Request ID and new status are required.",
     };
   try {
-    const found = await findRequestRow(LEAVE_SPREADSHEET_ID, requestId);
-    if (found) {
+    const request = await leaveStore.findRequest(requestId);
+    if (request) {
       // Check current status first to prevent race conditions
-      const currentStatusRes = await sheets.spreadsheets.values.get({
-        spreadsheetId: LEAVE_SPREADSHEET_ID,
-        range: `${found.sheet}!J${found.row}`,
-      });
-      if (
-        currentStatusRes.data.values &&
-        currentStatusRes.data.values[0][0] !== "Pending"
-      ) {
+      if (request.status !== "Pending") {
         return {
           status: "error",
           message: "This request has already been processed.",
         };
       }
 
-      const values = [[newStatus, approverRole, new Date().toISOString()]];
-      if (newStatus === "Rejected") values[0][3] = rejectionReason; // A bit hacky, assumes column order
+      const steps = getApprovalSteps(request);
+      const history = getApprovalHistory(request);
+      const fields = {
+        status: newStatus,
+        approver: approverRole,
+        approvalTimestamp: new Date().toISOString(),
+        approvalStep: "",
+      };
+      // Only the current step's approvers may approve or reject it.
+      const currentStep = steps[history.length];
+      if (currentStep && !canApproveStep(currentStep, approver)) {
+        return {
+          status: "error",
+          message:
+            newStatus === "Approved"
+              ? `អ្នកមិនមានសិទ្ធិអនុម័តជំហាន '${currentStep.label}' ទេ។`
+              : `អ្នកមិនមានសិទ្ធិបដិសេធនៅជំហាន '${currentStep.label}' ទេ។`,
+        };
+      }
+      if (newStatus === "Approved" && currentStep) {
+        const step = currentStep;
+        const approverId =
+          approver.username || approver.telegramUserId || approverRole;
+        if (history.some((entry) => entry.approverId === approverId)) {
+          return {
+            status: "error",
+            message: "អ្នកបានអនុម័តជំហានមុនរួចហើយ។ ត្រូវការអ្នកអនុម័តផ្សេង។",
+          };
+        }
+        history.push({
+          step: step.key,
+          label: step.label,
+          approver: approverRole,
+          approverId,
+          at: fields.approvalTimestamp,
+        });
+        fields.approvalHistory = JSON.stringify(history);
 
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: LEAVE_SPREADSHEET_ID,
-        range: `${found.sheet}!J${found.row}`, // Update Status, Approver, Timestamp
-        valueInputOption: "USER_ENTERED",
-        requestBody: { values },
-      });
+        const nextStep = steps[history.length];
+        if (nextStep) {
+          await leaveStore.updateRequest(request, {
+            approvalStep: nextStep.key,
+            approvalHistory: fields.approvalHistory,
+          });
+          publishRequestEvent("stepApproved", requestId, request.status);
+          await updateApprovalMessages(
+            requestId,
+            `${describeApprovalSteps(history)}\n⏳ <b>រង់ចាំ:</b> ${
+              nextStep.label
+            }`,
+            buildApprovalKeyboard(requestId, request)
+          );
+          await appendAuditLog(
+            "StepApproved",
+            requestId,
+            approverRole,
+            step.key
+          );
+          await notifyEmployee(
+            request.employeeId,
+            `✅ សំណើ '${request.leaveType}' របស់អ្នក (${request.startDate}) ត្រូវបានអនុម័តដោយ${step.label}។\n⏳ កំពុងរង់ចាំ: ${nextStep.label}`
+          );
+          return {
+            status: "success",
+            message: `បានអនុម័តជំហាន '${step.label}'។ កំពុងរង់ចាំ: ${nextStep.label}`,
+            approvedStep: step,
+            nextStep,
+          };
+        }
+      }
+      if (newStatus === "Rejected" && rejectionReason) {
+        fields.adminNote = rejectionReason;
+      }
+      await leaveStore.updateRequest(request, fields);
+      publishRequestEvent("decided", requestId, newStatus);
 
+      // Earlier steps of a chain stay listed; the step just approved is the decision itself.
+      const earlierSteps = history.filter(
+        (entry) => entry.at !== fields.approvalTimestamp
+      );
+      let decisionNote = `------------------------------------\n<b>${
+        newStatus === "Approved" ? "✅ Approved" : "❌ Rejected"
+      } by: ${escapeHtml(approverRole)}</b>`;
+      if (earlierSteps.length > 0) {
+        decisionNote = `${describeApprovalSteps(
+          earlierSteps
+        )}\n${decisionNote}`;
+      }
       if (newStatus === "Rejected" && rejectionReason) {
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: LEAVE_SPREADSHEET_ID,
-          range: `${found.sheet}!U${found.row}`, // Update rejection reason
-          valueInputOption: "USER_ENTERED",
-          requestBody: { values: [[rejectionReason]] },
-        });
+        decisionNote += `\n<b>មូលហេតុ:</b> ${escapeHtml(rejectionReason)}`;
       }
+      // Approved requests keep the payment button until the receipt is checked.
+      const paymentButtons =
+        newStatus === "Approved" ? buildPaymentButtons(request) : [];
+      await updateApprovalMessages(
+        requestId,
+        decisionNote,
+        paymentButtons.length > 0 ? { inline_keyboard: paymentButtons } : null
+      );
 
       // In a Node.js environment, clearing a server cache is more direct.
       scriptCache.del(CACHE_EMPLOYEE_KEY);
+      await appendAuditLog(newStatus, requestId, approverRole, rejectionReason);
 
-      // Fetch details for notification
-      const detailsRes = await sheets.spreadsheets.values.get({
-        spreadsheetId: LEAVE_SPREADSHEET_ID,
-        range: `${found.sheet}!C${found.row}:D${found.row}`,
-      });
-      const [employeeId, employeeName] = detailsRes.data.values[0];
-
+      const { employeeId, employeeName } = request;
       const statusEmoji = newStatus === "Approved" ? "✅" : "❌";
-      let notificationMessage = `<b>${statusEmoji} សំណើច្បាប់ត្រូវបានសម្រេច</b>\n------------------------------------\n<b>ឈ្មោះ:</b> ${employeeName} (ID: ${employeeId})\n<b>Request ID:</b> ${requestId}\n<b>ស្ថានភាពថ្មី:</b> ${newStatus}\n<b>សម្រេចដោយ:</b> ${approverRole}`;
+      let notificationMessage = `<b>${statusEmoji} សំណើច្បាប់ត្រូវបានសម្រេច</b>\n------------------------------------\n<b>ឈ្មោះ:</b> ${escapeHtml(
+        employeeName
+      )} (ID: ${employeeId})\n<b>Request ID:</b> ${requestId}\n<b>ស្ថានភាពថ្មី:</b> ${newStatus}\n<b>សម្រេចដោយ:</b> ${escapeHtml(
+        approverRole
+      )}`;
       if (newStatus === "Rejected" && rejectionReason) {
-        notificationMessage += `\n<b>មូលហេតុ:</b> ${rejectionReason}`;
+        notificationMessage += `\n<b>មូលហេតុ:</b> ${escapeHtml(
+          rejectionReason
+        )}`;
       }
       notificationMessage += `\n------------------------------------`;
 
-      await sendTelegramNotification(notificationMessage, null);
+      await sendTelegramNotification(notificationMessage, null, request);
+
+      let employeeMessage = `${statusEmoji} សំណើ '${request.leaveType}' របស់អ្នក (${request.startDate}) `;
+      if (newStatus === "Approved") {
+        const expectedReturn = getExpectedReturnTime(request);
+        employeeMessage += `ត្រូវបានអនុម័ត។`;
+        if (expectedReturn) {
+          employeeMessage += `\nសូមបញ្ជាក់ការចូលមកវិញមុន <b>${expectedReturn.toLocaleString(
+            "en-GB"
+          )}</b>។`;
+        }
+      } else {
+        employeeMessage += `ត្រូវបានបដិសេធ។`;
+        if (rejectionReason) {
+          employeeMessage += `\n<b>មូលហេតុ:</b> ${escapeHtml(rejectionReason)}`;
+        }
+      }
+      await notifyEmployee(employeeId, employeeMessage);
       return { status: "success" };
     }
     return { status: "error", message: "Request ID not found." };
@@ -771,6 +5836,23 @@ async function updateRequestStatus(
 }
 
 // --- Server Start ---
-app.listen(port, () => {
-  console.log(`Server is running on http://localhost:${port}`);
-});
+if (process.argv[2] === "hash-password") {
+  console.log(hashPassword(process.argv[3] || ""));
+  process.exit(0);
+} else if (process.argv[2] === "migrate-to-sqlite") {
+  migrateSheetsToSqlite()
+    .then(() => process.exit(0))
+    .catch((e) => {
+      console.error(`migrateSheetsToSqlite Error: ${e.stack}`);
+      process.exit(1);
+    });
+} else {
+  app.listen(port, () => {
+    console.log(
+      `Server is running on http://localhost:${port} (${STORAGE_BACKEND} storage)`
+    );
+    registerTelegramWebhook();
+    startOutboxWorker();
+    startScheduler();
+  });
+}